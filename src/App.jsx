@@ -1,5 +1,13 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
 import { io } from 'socket.io-client';
+import {
+  Routes,
+  Route,
+  Navigate,
+  useNavigate,
+  useLocation,
+  useMatch,
+} from 'react-router-dom';
 import {
   Mic,
   MicOff,
@@ -10,25 +18,337 @@ import {
   Copy,
   Users,
   AlertCircle,
+  Piano,
+  Loader2,
+  WifiOff,
+  Settings,
+  ScreenShare,
+  ScreenShareOff,
+  MessageSquare,
+  Paperclip,
+  Circle,
+  Activity,
+  Music,
+  Sparkles,
+  Square,
+  Download,
+  X,
+  Crown,
 } from 'lucide-react';
+import MidiVisualizer from './MidiVisualizer';
+import DeviceLobby from './DeviceLobby';
+import SettingsMenu from './SettingsMenu';
+import ChatPanel, { MAX_MESSAGE_LENGTH } from './ChatPanel';
+import ParticipantsPanel from './ParticipantsPanel';
+import WaitingRoom from './WaitingRoom';
+import JoinRequests from './JoinRequests';
+import FileTransferPanel from './FileTransferPanel';
+import ProfileCard from './ProfileCard';
+import CallEnded from './CallEnded';
+import Avatar from './Avatar';
+import {
+  listMediaDevices,
+  deviceConstraint,
+  audioConstraint,
+  getUserMediaWithFallback,
+} from './mediaDevices';
+import PeerManager, { buildIceServers } from './PeerManager';
+import FileTransferManager from './FileTransferManager';
+import { createId } from './Emitter';
+import BandwidthManager, {
+  QUALITY_PRESETS,
+  DEFAULT_QUALITY_PRESET,
+} from './BandwidthManager';
+import CallRecorder, { isRecordingSupported } from './CallRecorder';
+import StatsOverlay from './StatsOverlay';
+import VideoEffectsPanel from './VideoEffectsPanel';
+import VideoEffectsProcessor, { loadSegmenter } from './VideoEffectsProcessor';
+import { DEFAULT_CODEC_SETTINGS } from './codecs';
+import {
+  loadProfile,
+  saveProfile,
+  sanitizeProfile,
+  getPublicProfile,
+} from './profile';
+import {
+  useAudioLevel,
+  watchAudioLevel,
+  SPEAKING_THRESHOLD,
+} from './audioLevel';
+
+// localStorage key used to remember whether the jam panel was left open
+const JAM_PANEL_STORAGE_KEY = 'jamPanelOpen';
+// localStorage key for the chosen video quality preset
+const QUALITY_PRESET_STORAGE_KEY = 'videoQualityPreset';
+// localStorage key used to remember music mode between calls
+const MUSIC_MODE_STORAGE_KEY = 'musicMode';
+// localStorage key for enlarging the active speaker in multi-party calls
+const AUTO_PROMOTE_STORAGE_KEY = 'autoPromoteSpeaker';
+
+// How often the active speaker is re-evaluated, in milliseconds
+const ACTIVE_SPEAKER_INTERVAL = 300;
+// How much louder someone must be to take over from the current speaker
+const SPEAKER_SWITCH_RATIO = 1.5;
+
+// localStorage key for turning off the "you are muted" warning
+const MUTED_WARNING_STORAGE_KEY = 'mutedSpeechWarning';
+// Speech while muted needs to last this long before we warn, in ms...
+const MUTED_SPEECH_DURATION = 1500;
+// ...and may pause this long without counting as having stopped
+const MUTED_SPEECH_GAP = 600;
+// After dismissing the warning, stay quiet for this long
+const MUTED_WARNING_SNOOZE = 60000;
+// How long a notice from the host (e.g. "The host muted you") stays up, in ms
+const HOST_NOTICE_DURATION = 5000;
+
+// sessionStorage key for the call this tab is in, so a reload can rejoin it
+const ACTIVE_CALL_STORAGE_KEY = 'activeCall';
+// localStorage key for the codec settings (JSON)
+const CODEC_SETTINGS_STORAGE_KEY = 'codecSettings';
+
+const loadCodecSettings = () => {
+  try {
+    return {
+      ...DEFAULT_CODEC_SETTINGS,
+      ...JSON.parse(localStorage.getItem(CODEC_SETTINGS_STORAGE_KEY)),
+    };
+  } catch {
+    return DEFAULT_CODEC_SETTINGS;
+  }
+};
+
+// { roomId, mediaSettings } of the call this tab is about to enter or was
+// in, if any
+const loadActiveCall = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(ACTIVE_CALL_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// Shareable link that opens a room's page
+const getRoomUrl = (roomId) =>
+  `${window.location.origin}${import.meta.env.BASE_URL}room/${roomId}`;
+
+// Broadcasts our mic/camera state, including whether we have the device at
+// all, so peers can tell a muted participant from a listener
+const emitMediaState = (socket, stream) => {
+  const [audioTrack] = stream ? stream.getAudioTracks() : [];
+  const [videoTrack] = stream ? stream.getVideoTracks() : [];
+  socket.emit('audioStateChange', {
+    audioEnabled: Boolean(audioTrack && audioTrack.enabled),
+    audioAvailable: Boolean(audioTrack),
+  });
+  socket.emit('videoStateChange', {
+    videoEnabled: Boolean(videoTrack && videoTrack.enabled),
+    videoAvailable: Boolean(videoTrack),
+  });
+};
+
+// Name a participant goes by: their profile name, or a short socket ID
+// until (or unless) their profile arrives
+const getParticipantName = (profiles, userId) =>
+  profiles[userId]?.name || `${userId.substring(0, 6)}...`;
+
+// What peers should be sent: the camera stream, or, while sharing the screen
+// in 'replace' mode, the same audio with the screen in place of the camera
+const getOutgoingStream = (stream, screenShare) =>
+  stream && screenShare?.mode === 'replace'
+    ? new MediaStream([...stream.getAudioTracks(), screenShare.track])
+    : stream;
+
+// New stream with the tracks of `stream` plus those of `other`
+const mergeStreams = (stream, other) =>
+  new MediaStream([
+    ...stream.getTracks().filter((track) => !other.getTracks().includes(track)),
+    ...other.getTracks(),
+  ]);
+
+// New stream with the tracks of `stream` minus those of `other`
+const subtractStream = (stream, other) =>
+  new MediaStream(
+    stream.getTracks().filter((track) => !other.getTracks().includes(track))
+  );
+
+// Payload for the 'screenShareChange' event announcing a running share
+const getScreenShareAnnouncement = (screenShare) => ({
+  sharing: true,
+  mode: screenShare.mode,
+  streamId: screenShare.stream.id,
+});
+
+// Chat message rebuilt from what a peer sent, keeping only fields of the
+// expected types; null when it is not a usable message
+const parseChatMessage = (message, senderId) => {
+  if (
+    typeof message?.id !== 'string' ||
+    !message.id ||
+    typeof message.text !== 'string' ||
+    !message.text.trim()
+  ) {
+    return null;
+  }
+  return {
+    id: message.id.slice(0, 100),
+    text: message.text.slice(0, MAX_MESSAGE_LENGTH),
+    timestamp: Number.isFinite(message.timestamp)
+      ? message.timestamp
+      : Date.now(),
+    senderId,
+  };
+};
+
+// Caption for a tile without video: camera switched off, or not there at all
+const getNoVideoLabel = (videoAvailable = true, audioAvailable = true) => {
+  if (!videoAvailable && !audioAvailable) return 'Listening only';
+  if (!videoAvailable) return 'No camera';
+  return 'Camera Off';
+};
+
+// Room capacity bounds; the server falls back to the default when none is sent
+const DEFAULT_ROOM_CAPACITY = 2;
+const MAX_ROOM_CAPACITY = 8;
+const ROOM_CAPACITY_OPTIONS = Array.from(
+  { length: MAX_ROOM_CAPACITY - 1 },
+  (_, i) => i + 2
+);
+
+// Grid columns for the remote tiles, based on how many are on screen
+const getGridClasses = (tileCount) => {
+  if (tileCount <= 1) return 'grid-cols-1';
+  if (tileCount === 2) return 'grid-cols-1 md:grid-cols-2';
+  if (tileCount <= 4) return 'grid-cols-2';
+  if (tileCount <= 6) return 'grid-cols-2 lg:grid-cols-3';
+  return 'grid-cols-3';
+};
 
 const App = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  // The address bar decides the page: the lobby, a room, or a room's ended
+  // page
+  const roomMatch = useMatch('/room/:roomId');
+  const endedMatch = useMatch('/room/:roomId/ended');
+  const routeRoomId = roomMatch?.params.roomId || null;
+
   // State variables
   const [socket, setSocket] = useState(null);
+  const [isSocketConnected, setIsSocketConnected] = useState(false);
   const [roomId, setRoomId] = useState('');
   const [joined, setJoined] = useState(false);
   const localVideoRef = useRef(null);
-  const peersRef = useRef({});
+  const peerManagerRef = useRef(null);
   const localStreamRef = useRef(null);
+  // Room we are in, kept so the session can be resumed after a reconnect
+  const sessionRef = useRef(null);
   const [remoteVideos, setRemoteVideos] = useState([]);
   const [error, setError] = useState('');
   const [localStream, setLocalStream] = useState(null);
   const [isMuted, setIsMuted] = useState(false);
   const [isVideoEnabled, setIsVideoEnabled] = useState(true);
-  const [roomUrl, setRoomUrl] = useState('');
   const [isCopied, setIsCopied] = useState(false);
-  const [isCreator, setIsCreator] = useState(false);
+  // Host of the room: its creator, then whoever they hand over to. Peers
+  // learn it from the host, and the ref serves the socket handlers
+  const [hostId, setHostId] = useState(null);
+  const hostIdRef = useRef(null);
+  const [isRoomLocked, setIsRoomLocked] = useState(false);
+  const roomLockedRef = useRef(false);
+  // Waiting room: newcomers knock and wait for the host to admit them
+  const [isWaitingRoomEnabled, setIsWaitingRoomEnabled] = useState(false);
+  const waitingRoomRef = useRef(false);
+  const [newRoomWaitingRoom, setNewRoomWaitingRoom] = useState(false);
+  // People knocking: [{ userId, name, picture }]; every client keeps the
+  // list so a new host can pick up where the old one left off
+  const [joinRequests, setJoinRequests] = useState([]);
+  // Our own knock while we wait outside a room: { roomId, cancel }
+  const knockRef = useRef(null);
+  const [isWaitingToJoin, setIsWaitingToJoin] = useState(false);
+  // Latest handleHostAction, for the socket handlers that are set up once
+  const hostActionHandlerRef = useRef(null);
+  const [hostNotice, setHostNotice] = useState('');
+  const [isParticipantsOpen, setIsParticipantsOpen] = useState(false);
   const [participantCount, setParticipantCount] = useState(1);
+  const [isConnectionLost, setIsConnectionLost] = useState(false);
+  const [roomCapacity, setRoomCapacity] = useState(DEFAULT_ROOM_CAPACITY);
+  const [newRoomCapacity, setNewRoomCapacity] = useState(DEFAULT_ROOM_CAPACITY);
+  // Set while the device lobby for a new room is shown
+  const [isCreatingRoom, setIsCreatingRoom] = useState(false);
+  // Set from picking devices until the room has been joined (or not)
+  const [isJoining, setIsJoining] = useState(false);
+  // Duration and participants of the call we just left, for its ended page
+  const [callSummary, setCallSummary] = useState(null);
+  const [audioOutputDeviceId, setAudioOutputDeviceId] = useState('');
+  // Input devices in use ('' = system default), changeable mid-call
+  const [inputDevices, setInputDevices] = useState({
+    audioDeviceId: '',
+    videoDeviceId: '',
+  });
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  // Background effect on the camera; while one is on, the local stream holds
+  // the processed track and the raw camera track is kept aside
+  const [videoEffect, setVideoEffect] = useState('none');
+  const [videoEffectStatus, setVideoEffectStatus] = useState({
+    isLoading: false,
+    error: '',
+  });
+  const [isEffectsOpen, setIsEffectsOpen] = useState(false);
+  const effectsProcessorRef = useRef(null);
+  const cameraTrackRef = useRef(null);
+  // Running local screen share: { mode: 'add' | 'replace', track, stream }
+  const [screenShare, setScreenShare] = useState(null);
+  const screenShareRef = useRef(null);
+  const [screenShareMode, setScreenShareMode] = useState('add');
+  // Chat history for the current room, oldest first
+  const [chatMessages, setChatMessages] = useState([]);
+  const [isChatOpen, setIsChatOpen] = useState(false);
+  const [chatReadCount, setChatReadCount] = useState(0);
+  const seenMessageIdsRef = useRef(new Set());
+  // Snapshots of the files being sent/received, see FileTransferManager
+  const [fileTransfers, setFileTransfers] = useState([]);
+  const fileTransferRef = useRef(null);
+  const fileInputRef = useRef(null);
+  // Local call recording; the download is offered once it has stopped
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingDownload, setRecordingDownload] = useState(null);
+  const recorderRef = useRef(null);
+  const recordingTilesRef = useRef([]);
+  const [qualityPreset, setQualityPreset] = useState(() => {
+    const saved = localStorage.getItem(QUALITY_PRESET_STORAGE_KEY);
+    return QUALITY_PRESETS[saved] ? saved : DEFAULT_QUALITY_PRESET;
+  });
+  const qualityPresetRef = useRef(qualityPreset);
+  const bandwidthManagerRef = useRef(null);
+  const [codecSettings, setCodecSettings] = useState(loadCodecSettings);
+  const codecSettingsRef = useRef(codecSettings);
+  // Music mode: microphone without echo cancellation, noise suppression or AGC
+  const [isMusicMode, setIsMusicMode] = useState(
+    () => localStorage.getItem(MUSIC_MODE_STORAGE_KEY) === 'true'
+  );
+  const musicModeRef = useRef(isMusicMode);
+  // Our name and avatar (guest or Google), and those peers have sent us,
+  // kept after they leave so chat history keeps its names
+  const [profile, setProfile] = useState(loadProfile);
+  const profileRef = useRef(profile);
+  const [participantProfiles, setParticipantProfiles] = useState({});
+  // Remote participant talking right now, and the last one who did (who
+  // stays enlarged through pauses when auto-promote is on)
+  const [activeSpeakerId, setActiveSpeakerId] = useState(null);
+  const [stageSpeakerId, setStageSpeakerId] = useState(null);
+  const [autoPromoteSpeaker, setAutoPromoteSpeaker] = useState(
+    () => localStorage.getItem(AUTO_PROMOTE_STORAGE_KEY) === 'true'
+  );
+  // userId -> smoothed level, reported by each remote tile
+  const speakerLevelsRef = useRef({});
+  const activeSpeakerRef = useRef(null);
+  const [mutedWarningEnabled, setMutedWarningEnabled] = useState(
+    () => localStorage.getItem(MUTED_WARNING_STORAGE_KEY) !== 'false'
+  );
+  const [showMutedWarning, setShowMutedWarning] = useState(false);
+  const mutedWarningSnoozeRef = useRef(0);
+  const [isJamOpen, setIsJamOpen] = useState(
+    () => localStorage.getItem(JAM_PANEL_STORAGE_KEY) === 'true'
+  );
 
   // Environment variables
   const BASE_URL = import.meta.env.VITE_BASE_URL || 'http://localhost:5000';
@@ -36,6 +356,13 @@ const App = () => {
     import.meta.env.VITE_STUN_TURN_SERVER || 'stun.l.google.com:19302';
   const TURN_USERNAME = import.meta.env.VITE_TURN_USERNAME || '';
   const TURN_PASSWORD = import.meta.env.VITE_TURN_PASSWORD || '';
+  const TRICKLE_ICE = import.meta.env.VITE_TRICKLE_ICE !== 'false';
+
+  // Records who the host is; the ref is read by the socket handlers
+  const assignHost = useCallback((userId) => {
+    hostIdRef.current = userId;
+    setHostId(userId);
+  }, []);
 
   // Function to initialize socket connection
   const initializeSocket = useCallback(() => {
@@ -56,36 +383,179 @@ const App = () => {
     newSocket.on('connect', () => {
       console.log('Connected to server with ID:', newSocket.id);
       setError('');
+      setIsSocketConnected(true);
     });
+    newSocket.on('disconnect', () => setIsSocketConnected(false));
 
     return newSocket;
   }, [BASE_URL]);
 
-  const getMediaStream = useCallback(async () => {
-    try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: true,
-        audio: true,
-      });
-      console.log('Got media stream:', stream);
-      localStreamRef.current = stream;
-      setLocalStream(stream);
+  const getMediaStream = useCallback(async (mediaSettings = {}) => {
+    const {
+      audioDeviceId,
+      videoDeviceId,
+      startMuted = false,
+      startVideoOff = false,
+    } = mediaSettings;
+
+    // Camera and mic, then whichever one works; with neither we still join,
+    // as a listener
+    let stream = await getUserMediaWithFallback(
+      deviceConstraint(videoDeviceId),
+      audioConstraint(audioDeviceId, musicModeRef.current)
+    );
+    if (!stream) {
+      console.warn('No camera or microphone available, joining as listener');
+      stream = new MediaStream();
+    }
 
-      setIsVideoEnabled(
-        stream.getVideoTracks().length > 0 && stream.getVideoTracks()[0].enabled
-      );
-      setIsMuted(
-        stream.getAudioTracks().length > 0 &&
-          !stream.getAudioTracks()[0].enabled
+    console.log('Got media stream:', stream);
+    stream.getAudioTracks().forEach((track) => {
+      track.enabled = !startMuted;
+    });
+    stream.getVideoTracks().forEach((track) => {
+      track.enabled = !startVideoOff;
+    });
+    localStreamRef.current = stream;
+    setLocalStream(stream);
+    peerManagerRef.current?.setLocalStream(stream);
+
+    setIsVideoEnabled(
+      stream.getVideoTracks().length > 0 && stream.getVideoTracks()[0].enabled
+    );
+    setIsMuted(
+      stream.getAudioTracks().length > 0 && !stream.getAudioTracks()[0].enabled
+    );
+
+    return stream;
+  }, []);
+
+  // Replaces the local camera or microphone track with one from `deviceId`
+  // and swaps it into every peer connection, keeping the mute/camera state.
+  // Resolves to whether the switch worked.
+  const switchDevice = useCallback(
+    async (kind, deviceId) => {
+      const stream = localStreamRef.current;
+      if (!stream) return false;
+
+      try {
+        const newStream = await navigator.mediaDevices.getUserMedia({
+          [kind]:
+            kind === 'audio'
+              ? audioConstraint(deviceId, musicModeRef.current)
+              : deviceConstraint(deviceId),
+        });
+        const [newTrack] =
+          kind === 'video'
+            ? newStream.getVideoTracks()
+            : newStream.getAudioTracks();
+        const [oldTrack] =
+          kind === 'video' ? stream.getVideoTracks() : stream.getAudioTracks();
+
+        // With a background effect on, only the processor's input changes
+        const processor = effectsProcessorRef.current;
+        if (kind === 'video' && processor) {
+          processor.setInputTrack(newTrack);
+          cameraTrackRef.current?.stop();
+          cameraTrackRef.current = newTrack;
+          setInputDevices((prev) => ({ ...prev, videoDeviceId: deviceId }));
+          console.log('Switched video device to:', deviceId || 'default');
+          return true;
+        }
+
+        const updatedStream = new MediaStream([
+          ...stream.getTracks().filter((track) => track !== oldTrack),
+          newTrack,
+        ]);
+        if (oldTrack) {
+          newTrack.enabled = oldTrack.enabled;
+        }
+        // While the screen replaces the camera, peers keep getting the screen
+        const share = screenShareRef.current;
+        if (!(kind === 'video' && share?.mode === 'replace')) {
+          await peerManagerRef.current?.replaceTrack(
+            oldTrack,
+            newTrack,
+            updatedStream
+          );
+        }
+        oldTrack?.stop();
+
+        localStreamRef.current = updatedStream;
+        setLocalStream(updatedStream);
+        peerManagerRef.current?.setLocalStream(
+          getOutgoingStream(updatedStream, share)
+        );
+
+        // A listener who just gained a device starts sending it right away
+        if (!oldTrack) {
+          if (kind === 'video') {
+            setIsVideoEnabled(true);
+          } else {
+            setIsMuted(false);
+          }
+          if (socket && sessionRef.current) {
+            emitMediaState(socket, updatedStream);
+          }
+        }
+        setInputDevices((prev) => ({
+          ...prev,
+          [kind === 'video' ? 'videoDeviceId' : 'audioDeviceId']: deviceId,
+        }));
+        console.log(`Switched ${kind} device to:`, deviceId || 'default');
+        return true;
+      } catch (err) {
+        // Keep the current track; the call carries on with the old device
+        console.error(`Error switching ${kind} device:`, err);
+        return false;
+      }
+    },
+    [socket]
+  );
+
+  // Fall back to the default device when the one in use goes away (e.g. a
+  // headset is unplugged) and forget a speaker that is no longer present
+  useEffect(() => {
+    if (!joined) return;
+
+    const handleDeviceChange = async () => {
+      const { audioInputs, videoInputs, audioOutputs } =
+        await listMediaDevices();
+      const stream = localStreamRef.current;
+      if (!stream) return;
+
+      const isGone = (track, available) =>
+        track &&
+        (track.readyState === 'ended' ||
+          !available.some((d) => d.deviceId === track.getSettings().deviceId));
+
+      const [audioTrack] = stream.getAudioTracks();
+      // With a background effect on, the stream carries the processed track;
+      // the camera is the processor's input
+      const videoTrack = effectsProcessorRef.current
+        ? cameraTrackRef.current
+        : stream.getVideoTracks()[0];
+      if (isGone(audioTrack, audioInputs) && audioInputs.length > 0) {
+        console.warn('Microphone disconnected, falling back to default');
+        switchDevice('audio', '');
+      }
+      if (isGone(videoTrack, videoInputs) && videoInputs.length > 0) {
+        console.warn('Camera disconnected, falling back to default');
+        switchDevice('video', '');
+      }
+      setAudioOutputDeviceId((id) =>
+        audioOutputs.some((d) => d.deviceId === id) ? id : ''
       );
+    };
 
-      return stream;
-    } catch (err) {
-      console.error('Error accessing media devices:', err);
-      setError(`Error accessing camera or microphone: ${err.message}`);
-      return null;
-    }
-  }, []);
+    navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => {
+      navigator.mediaDevices.removeEventListener(
+        'devicechange',
+        handleDeviceChange
+      );
+    };
+  }, [joined, switchDevice]);
 
   useEffect(() => {
     if (localVideoRef.current && localStream) {
@@ -93,6 +563,178 @@ const App = () => {
     }
   }, [localStream]);
 
+  // Persist the jam panel visibility so it survives reconnects and reloads
+  useEffect(() => {
+    localStorage.setItem(JAM_PANEL_STORAGE_KEY, String(isJamOpen));
+  }, [isJamOpen]);
+
+  // Apply a new quality preset to the running calls and remember it
+  useEffect(() => {
+    qualityPresetRef.current = qualityPreset;
+    bandwidthManagerRef.current?.setPreset(qualityPreset);
+    localStorage.setItem(QUALITY_PRESET_STORAGE_KEY, qualityPreset);
+  }, [qualityPreset]);
+
+  // Renegotiate running calls with new codec settings and remember them
+  useEffect(() => {
+    if (codecSettingsRef.current === codecSettings) return;
+    codecSettingsRef.current = codecSettings;
+    peerManagerRef.current?.setCodecSettings(codecSettings);
+    localStorage.setItem(
+      CODEC_SETTINGS_STORAGE_KEY,
+      JSON.stringify(codecSettings)
+    );
+  }, [codecSettings]);
+
+  useEffect(() => {
+    profileRef.current = profile;
+    saveProfile(profile);
+  }, [profile]);
+
+  useEffect(() => {
+    localStorage.setItem(AUTO_PROMOTE_STORAGE_KEY, String(autoPromoteSpeaker));
+  }, [autoPromoteSpeaker]);
+
+  useEffect(() => {
+    localStorage.setItem(
+      MUTED_WARNING_STORAGE_KEY,
+      String(mutedWarningEnabled)
+    );
+  }, [mutedWarningEnabled]);
+
+  // While muted, listen to a private, still-enabled copy of the mic track and
+  // warn once speech has gone on for a while
+  useEffect(() => {
+    const [track] = localStream ? localStream.getAudioTracks() : [];
+    if (!joined || !isMuted || !mutedWarningEnabled || !track) {
+      setShowMutedWarning(false);
+      return undefined;
+    }
+
+    const probe = track.clone();
+    probe.enabled = true;
+    let speakingSince = null;
+    let lastSpokeAt = 0;
+    const stop = watchAudioLevel(probe, (level) => {
+      const now = Date.now();
+      if (level > SPEAKING_THRESHOLD) {
+        if (speakingSince === null || now - lastSpokeAt > MUTED_SPEECH_GAP) {
+          speakingSince = now;
+        }
+        lastSpokeAt = now;
+        if (
+          now - speakingSince >= MUTED_SPEECH_DURATION &&
+          now >= mutedWarningSnoozeRef.current
+        ) {
+          setShowMutedWarning(true);
+        }
+      }
+    });
+
+    return () => {
+      stop();
+      probe.stop();
+    };
+  }, [joined, isMuted, mutedWarningEnabled, localStream]);
+
+  // Pick the loudest remote participant a few times a second. The current
+  // speaker keeps the floor unless someone is clearly louder.
+  useEffect(() => {
+    if (!joined) return undefined;
+
+    const timer = setInterval(() => {
+      const levels = speakerLevelsRef.current;
+      const [loudest] = Object.keys(levels)
+        .filter((userId) => levels[userId] > SPEAKING_THRESHOLD)
+        .sort((a, b) => levels[b] - levels[a]);
+
+      let speakerId = loudest || null;
+      const current = activeSpeakerRef.current;
+      if (
+        current &&
+        speakerId !== current &&
+        levels[current] > SPEAKING_THRESHOLD &&
+        levels[speakerId] < levels[current] * SPEAKER_SWITCH_RATIO
+      ) {
+        speakerId = current;
+      }
+
+      activeSpeakerRef.current = speakerId;
+      setActiveSpeakerId(speakerId);
+      if (speakerId) {
+        setStageSpeakerId(speakerId);
+      }
+    }, ACTIVE_SPEAKER_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [joined]);
+
+  // Everything in the history counts as read while the chat is open
+  useEffect(() => {
+    if (isChatOpen) {
+      setChatReadCount(chatMessages.length);
+    }
+  }, [isChatOpen, chatMessages.length]);
+
+  // Keep what the recorder draws and mixes in step with the call
+  useEffect(() => {
+    const localTile =
+      screenShare?.mode === 'replace'
+        ? {
+            stream: screenShare.stream,
+            label: 'You (screen)',
+            mirror: false,
+            videoActive: true,
+          }
+        : localStream && {
+            stream: localStream,
+            label: 'You',
+            mirror: true,
+            videoActive:
+              isVideoEnabled && localStream.getVideoTracks().length > 0,
+          };
+    recordingTilesRef.current = [
+      localTile,
+      screenShare?.mode === 'add' && {
+        stream: screenShare.stream,
+        label: 'Your screen',
+        mirror: false,
+        videoActive: true,
+      },
+      ...remoteVideos.flatMap((v) => {
+        const label = getParticipantName(participantProfiles, v.id);
+        return [
+          v.stream && {
+            stream: v.stream,
+            label,
+            mirror: false,
+            videoActive: v.videoActive,
+          },
+          v.screenStream && {
+            stream: v.screenStream,
+            label: `${label} (screen)`,
+            mirror: false,
+            videoActive: true,
+          },
+        ];
+      }),
+    ].filter(Boolean);
+
+    if (isRecording) {
+      recorderRef.current?.setAudioStreams([
+        localStream,
+        ...remoteVideos.flatMap((v) => [v.stream, v.screenStream]),
+      ]);
+    }
+  }, [
+    localStream,
+    isVideoEnabled,
+    screenShare,
+    remoteVideos,
+    participantProfiles,
+    isRecording,
+  ]);
+
   // Initialize socket on component mount
   useEffect(() => {
     initializeSocket();
@@ -107,13 +749,208 @@ const App = () => {
   useEffect(() => {
     if (!socket) return;
 
+    const peerManager = new PeerManager({
+      socket,
+      iceServers: buildIceServers({
+        turnServer: STUN_TURN_SERVER,
+        username: TURN_USERNAME,
+        credential: TURN_PASSWORD,
+      }),
+      trickleIce: TRICKLE_ICE,
+      codecSettings: codecSettingsRef.current,
+    });
+    peerManager.setLocalStream(localStreamRef.current);
+    peerManager.attach();
+    peerManagerRef.current = peerManager;
+
+    const fileTransfer = new FileTransferManager({ peerManager });
+    fileTransfer.on('change', setFileTransfers);
+    fileTransferRef.current = fileTransfer;
+
+    const bandwidthManager = new BandwidthManager({
+      peerManager,
+      preset: qualityPresetRef.current,
+    });
+    bandwidthManager.setCameraReplaced(
+      screenShareRef.current?.mode === 'replace'
+    );
+    bandwidthManagerRef.current = bandwidthManager;
+
+    const handlePeerTrack = ({ userId, streams }) => {
+      const [stream] = streams;
+      if (!stream) return;
+
+      setRemoteVideos((prev) => {
+        const exists = prev.find((v) => v.id === userId);
+        if (exists) {
+          return prev.map((v) => {
+            if (v.id !== userId) return v;
+            if (stream.id === v.screenShare?.streamId) {
+              return { ...v, screenStream: stream };
+            }
+            // Any other new stream carries camera or microphone tracks, e.g.
+            // from a listener who just plugged in a device. It is kept in
+            // case it turns out to be a screen announced after the fact.
+            if (v.stream && v.stream.id !== stream.id) {
+              return {
+                ...v,
+                stream: mergeStreams(v.stream, stream),
+                unannouncedStream: stream,
+              };
+            }
+            return {
+              ...v,
+              stream,
+              videoActive: v.videoActive !== undefined ? v.videoActive : true,
+              audioActive: v.audioActive !== undefined ? v.audioActive : true,
+            };
+          });
+        } else {
+          return [
+            ...prev,
+            {
+              id: userId,
+              stream,
+              videoActive: true,
+              audioActive: true,
+            },
+          ];
+        }
+      });
+    };
+
+    // Give every peer a tile straight away, as listeners never send a track.
+    // A rebuilt peer starts over, so its old streams are dropped.
+    const handlePeerAdded = ({ userId }) => {
+      setRemoteVideos((prev) =>
+        prev.some((v) => v.id === userId)
+          ? prev.map((v) =>
+              v.id === userId
+                ? {
+                    ...v,
+                    stream: null,
+                    screenStream: null,
+                    unannouncedStream: null,
+                  }
+                : v
+            )
+          : [
+              ...prev,
+              {
+                id: userId,
+                stream: null,
+                videoActive: true,
+                audioActive: true,
+              },
+            ]
+      );
+    };
+
+    const handlePeerRemoved = ({ userId }) => {
+      setRemoteVideos((prev) => prev.filter((v) => v.id !== userId));
+    };
+
+    const handlePeerStateChange = ({ userId, reconnecting }) => {
+      setRemoteVideos((prev) =>
+        prev.map((v) => (v.id === userId ? { ...v, reconnecting } : v))
+      );
+    };
+
+    const receiveChatMessage = (received, senderId) => {
+      const message = parseChatMessage(received, senderId);
+      if (!message) {
+        console.warn('Ignoring invalid chat message from:', senderId);
+        return;
+      }
+      if (seenMessageIdsRef.current.has(message.id)) return;
+      seenMessageIdsRef.current.add(message.id);
+      setChatMessages((prev) => [...prev, message]);
+    };
+
+    const handlePeerData = ({ userId, label, data }) => {
+      if (label !== 'chat') return;
+      try {
+        receiveChatMessage(JSON.parse(data), userId);
+      } catch (err) {
+        console.error('Invalid chat message from:', userId, err);
+      }
+    };
+
+    const handleRemoteChatMessage = ({ userId, message }) => {
+      receiveChatMessage(message, userId);
+    };
+
+    peerManager.on('peer-added', handlePeerAdded);
+    peerManager.on('data', handlePeerData);
+    peerManager.on('track', handlePeerTrack);
+    peerManager.on('state-change', handlePeerStateChange);
+    peerManager.on('peer-removed', handlePeerRemoved);
+
     const handleAllUsers = (users) => {
       console.log('Received all users:', users);
       setParticipantCount(users.length + 1);
+
+      // Peers left over from before a reconnect: drop the ones who are gone
+      // and rebuild the rest, since they knew us under our old socket ID
+      peerManager
+        .getPeerIds()
+        .filter((userId) => !users.includes(userId))
+        .forEach((userId) => peerManager.removePeer(userId));
+
       users.forEach((userId) => {
-        const peer = createPeer(userId, socket.id, localStreamRef.current);
-        peersRef.current[userId] = peer;
+        if (peerManager.getPeer(userId)) {
+          peerManager.rebuildPeer(userId);
+        } else {
+          peerManager.createPeer(userId);
+        }
+      });
+    };
+
+    const handleDisconnect = (reason) => {
+      console.log('Socket disconnected:', reason);
+      if (sessionRef.current) {
+        setIsConnectionLost(true);
+      }
+    };
+
+    // Socket.IO fires 'connect' again after every automatic reconnect; the
+    // server has forgotten our room membership by then, so join it again
+    const handleReconnect = () => {
+      const session = sessionRef.current;
+      if (!session) return;
+
+      setIsConnectionLost(false);
+      if (socket.recovered) {
+        console.log('Socket session recovered, room membership kept');
+        return;
+      }
+
+      console.log('Rejoining room after reconnect:', session.roomId);
+      // We come back under a new ID, so whoever is host now will tell us
+      assignHost(null);
+      socket.emit('join-room', {
+        roomId: session.roomId,
+        profile: getPublicProfile(profileRef.current),
       });
+
+      emitMediaState(socket, localStreamRef.current);
+      if (profileRef.current) {
+        socket.emit('profileChange', {
+          profile: getPublicProfile(profileRef.current),
+        });
+      }
+      if (screenShareRef.current) {
+        socket.emit(
+          'screenShareChange',
+          getScreenShareAnnouncement(screenShareRef.current)
+        );
+      }
+      if (recorderRef.current?.recording) {
+        socket.emit('recordingStateChange', { recording: true });
+      }
+      if (musicModeRef.current) {
+        socket.emit('musicModeChange', { enabled: true });
+      }
     };
 
     const handleInitialVideoStates = (videoStates) => {
@@ -158,80 +995,215 @@ const App = () => {
       console.log('User joined:', userId);
       if (userId === socket.id) return;
       setParticipantCount((prev) => prev + 1);
-      const peer = addPeer(userId, socket.id, localStreamRef.current);
-      peersRef.current[userId] = peer;
-    };
+      peerManager.createPeer(userId);
 
-    const handleOffer = async ({ sdp, caller }) => {
-      console.log('Received offer from:', caller);
-      try {
-        let peer = peersRef.current[caller];
-        if (!peer) {
-          peer = addPeer(caller, socket.id, localStreamRef.current);
-          peersRef.current[caller] = peer;
+      if (hostIdRef.current === socket.id) {
+        socket.emit('hostChange', { hostId: socket.id });
+        if (waitingRoomRef.current) {
+          socket.emit('waitingRoomChange', { enabled: true });
         }
-        await peer.setRemoteDescription(new RTCSessionDescription(sdp));
-        const answer = await peer.createAnswer();
-        await peer.setLocalDescription(answer);
-        socket.emit('answer', { target: caller, sdp: peer.localDescription });
-      } catch (error) {
-        console.error('Error handling offer:', error);
-      }
-    };
-
-    const handleAnswer = async ({ sdp, caller }) => {
-      console.log('Received answer from:', caller);
-      try {
-        const peer = peersRef.current[caller];
-        if (peer) {
-          await peer.setRemoteDescription(new RTCSessionDescription(sdp));
+        if (roomLockedRef.current) {
+          socket.emit('roomLockChange', { locked: true });
+          // Newcomers are refused at check-room; this catches anyone who
+          // got past it, e.g. when the lock came in while they were joining
+          socket.emit('hostAction', { targetId: userId, action: 'locked' });
         }
-      } catch (error) {
-        console.error('Error handling answer:', error);
       }
-    };
-
-    const handleIceCandidate = async ({ from, candidate }) => {
-      try {
-        const peer = peersRef.current[from];
-        if (peer && candidate) {
-          await peer.addIceCandidate(new RTCIceCandidate(candidate));
-        }
-      } catch (error) {
-        console.error('Error adding ICE candidate:', error);
+      if (profileRef.current) {
+        socket.emit('profileChange', {
+          profile: getPublicProfile(profileRef.current),
+        });
+      }
+      // Initial states only carry on/off, so tell newcomers what we lack
+      const stream = localStreamRef.current;
+      if (
+        stream &&
+        (stream.getAudioTracks().length === 0 ||
+          stream.getVideoTracks().length === 0)
+      ) {
+        emitMediaState(socket, stream);
+      }
+      if (screenShareRef.current) {
+        socket.emit(
+          'screenShareChange',
+          getScreenShareAnnouncement(screenShareRef.current)
+        );
+      }
+      if (recorderRef.current?.recording) {
+        socket.emit('recordingStateChange', { recording: true });
+      }
+      if (musicModeRef.current) {
+        socket.emit('musicModeChange', { enabled: true });
       }
     };
 
-    const handleRemoteVideoStateChange = ({ userId, videoEnabled }) => {
+    const handleRemoteVideoStateChange = ({
+      userId,
+      videoEnabled,
+      videoAvailable,
+    }) => {
       console.log(
         `Remote user ${userId} video state changed to: ${videoEnabled}`
       );
       setRemoteVideos((prev) =>
         prev.map((v) =>
-          v.id === userId ? { ...v, videoActive: videoEnabled } : v
+          v.id === userId
+            ? {
+                ...v,
+                videoActive: videoEnabled,
+                videoAvailable: videoAvailable ?? v.videoAvailable,
+              }
+            : v
         )
       );
     };
 
-    const handleRemoteAudioStateChange = ({ userId, audioEnabled }) => {
+    const handleRemoteAudioStateChange = ({
+      userId,
+      audioEnabled,
+      audioAvailable,
+    }) => {
       console.log(
         `Remote user ${userId} audio state changed to: ${audioEnabled}`
       );
       setRemoteVideos((prev) =>
         prev.map((v) =>
-          v.id === userId ? { ...v, audioActive: audioEnabled } : v
+          v.id === userId
+            ? {
+                ...v,
+                audioActive: audioEnabled,
+                audioAvailable: audioAvailable ?? v.audioAvailable,
+              }
+            : v
         )
       );
     };
 
+    const handleRemoteScreenShareChange = ({
+      userId,
+      sharing,
+      mode,
+      streamId,
+    }) => {
+      console.log(`Remote user ${userId} screen share: ${sharing}`);
+      setRemoteVideos((prev) =>
+        prev.map((v) => {
+          if (v.id !== userId) return v;
+          if (!sharing) {
+            return { ...v, screenShare: null, screenStream: null };
+          }
+          // The screen may have arrived first and been taken for the camera
+          if (mode === 'add' && v.stream?.id === streamId) {
+            return {
+              ...v,
+              screenShare: { mode, streamId },
+              screenStream: v.stream,
+              stream: null,
+            };
+          }
+          if (mode === 'add' && v.unannouncedStream?.id === streamId) {
+            return {
+              ...v,
+              screenShare: { mode, streamId },
+              screenStream: v.unannouncedStream,
+              stream: subtractStream(v.stream, v.unannouncedStream),
+              unannouncedStream: null,
+            };
+          }
+          return { ...v, screenShare: { mode, streamId } };
+        })
+      );
+    };
+
+    const handleRemoteRecordingStateChange = ({ userId, recording }) => {
+      console.log(`Remote user ${userId} recording: ${recording}`);
+      setRemoteVideos((prev) =>
+        prev.map((v) => (v.id === userId ? { ...v, recording } : v))
+      );
+    };
+
+    const handleRemoteMusicModeChange = ({ userId, enabled }) => {
+      console.log(`Remote user ${userId} music mode: ${enabled}`);
+      setRemoteVideos((prev) =>
+        prev.map((v) => (v.id === userId ? { ...v, musicMode: enabled } : v))
+      );
+    };
+
+    const handleRemoteProfileChange = ({ userId, profile: remoteProfile }) => {
+      const sanitized = sanitizeProfile(remoteProfile);
+      console.log(`Remote user ${userId} profile:`, sanitized?.name);
+      setParticipantProfiles((prev) => ({ ...prev, [userId]: sanitized }));
+    };
+
+    // Only the current host may hand over; until we know who that is (just
+    // after joining) the first announcement is taken
+    const handleRemoteHostChange = ({ userId, hostId: newHostId }) => {
+      if (hostIdRef.current && userId !== hostIdRef.current) return;
+      console.log('Host is now:', newHostId);
+      assignHost(newHostId);
+    };
+
+    const handleRemoteRoomLockChange = ({ userId, locked }) => {
+      if (userId !== hostIdRef.current) return;
+      console.log(`Room ${locked ? 'locked' : 'unlocked'} by the host`);
+      roomLockedRef.current = locked;
+      setIsRoomLocked(locked);
+    };
+
+    const handleRemoteWaitingRoomChange = ({ userId, enabled }) => {
+      if (userId !== hostIdRef.current) return;
+      console.log(`Waiting room ${enabled ? 'on' : 'off'}`);
+      waitingRoomRef.current = enabled;
+      setIsWaitingRoomEnabled(enabled);
+    };
+
+    const handleRemoteKnock = ({ userId, profile: remoteProfile }) => {
+      console.log('Knock on the waiting room from:', userId);
+      // Nobody gets in while the room is locked
+      if (hostIdRef.current === socket.id && roomLockedRef.current) {
+        socket.emit('knock-answer', {
+          roomId: sessionRef.current?.roomId,
+          targetId: userId,
+          admitted: false,
+        });
+        return;
+      }
+      const sanitized = sanitizeProfile(remoteProfile);
+      setJoinRequests((prev) => [
+        ...prev.filter((request) => request.userId !== userId),
+        {
+          userId,
+          name: sanitized?.name || `${userId.substring(0, 6)}...`,
+          picture: sanitized?.picture || '',
+        },
+      ]);
+    };
+
+    // Answered by the host, or given up by the one knocking
+    const handleKnockSettled = ({ userId, targetId }) => {
+      const settledId = targetId || userId;
+      setJoinRequests((prev) =>
+        prev.filter((request) => request.userId !== settledId)
+      );
+    };
+
+    const handleRemoteHostAction = ({ userId, targetId, action }) => {
+      if (targetId !== socket.id || userId !== hostIdRef.current) return;
+      console.log('Host action received:', action);
+      hostActionHandlerRef.current?.(action);
+    };
+
     const handleUserDisconnected = (userId) => {
       console.log('User disconnected:', userId);
-      if (peersRef.current[userId]) {
-        peersRef.current[userId].close();
-        delete peersRef.current[userId];
-        setRemoteVideos((prev) => prev.filter((v) => v.id !== userId));
+      if (peerManager.removePeer(userId)) {
         setParticipantCount((prev) => Math.max(1, prev - 1));
       }
+      // The host dropped out without handing over: everyone settles on the
+      // same successor, the lowest socket ID still in the room
+      if (userId === hostIdRef.current) {
+        const [successor] = [socket.id, ...peerManager.getPeerIds()].sort();
+        assignHost(successor);
+      }
     };
 
     const handleRoomNotFound = () => {
@@ -246,6 +1218,7 @@ const App = () => {
       maxParticipants,
     }) => {
       console.log('Room is full:', message);
+      setRoomCapacity(maxParticipants);
       setError(
         `Room is full! Currently ${currentParticipants}/${maxParticipants} participants. Please try joining a different room or create a new one.`
       );
@@ -253,40 +1226,88 @@ const App = () => {
 
     // Register event listeners
     socket.on('all-users', handleAllUsers);
+    socket.on('disconnect', handleDisconnect);
+    socket.on('connect', handleReconnect);
     socket.on('initial-video-states', handleInitialVideoStates);
     socket.on('initial-audio-states', handleInitialAudioStates);
     socket.on('user-joined', handleUserJoined);
-    socket.on('offer', handleOffer);
-    socket.on('answer', handleAnswer);
-    socket.on('ice-candidate', handleIceCandidate);
     socket.on('remoteVideoStateChange', handleRemoteVideoStateChange);
     socket.on('remoteAudioStateChange', handleRemoteAudioStateChange);
+    socket.on('remoteScreenShareChange', handleRemoteScreenShareChange);
+    socket.on('remoteRecordingStateChange', handleRemoteRecordingStateChange);
+    socket.on('remoteMusicModeChange', handleRemoteMusicModeChange);
+    socket.on('remoteProfileChange', handleRemoteProfileChange);
+    socket.on('remoteHostChange', handleRemoteHostChange);
+    socket.on('remoteRoomLockChange', handleRemoteRoomLockChange);
+    socket.on('remoteHostAction', handleRemoteHostAction);
+    socket.on('remoteWaitingRoomChange', handleRemoteWaitingRoomChange);
+    socket.on('remote-knock', handleRemoteKnock);
+    socket.on('remote-knock-cancel', handleKnockSettled);
+    socket.on('remote-knock-answer', handleKnockSettled);
+    socket.on('remote-chat-message', handleRemoteChatMessage);
     socket.on('user-disconnected', handleUserDisconnected);
     socket.on('room-not-found', handleRoomNotFound);
     socket.on('room-full', handleRoomFull);
-    socket.on('room-created', ({ roomId }) => {
+    socket.on('room-created', ({ roomId, maxParticipants }) => {
       console.log('Room successfully created acknowledgment:', roomId);
-      setIsCreator(true);
+      assignHost(socket.id);
+      if (maxParticipants) {
+        setRoomCapacity(maxParticipants);
+      }
     });
 
     return () => {
       socket.off('all-users', handleAllUsers);
+      socket.off('disconnect', handleDisconnect);
+      socket.off('connect', handleReconnect);
       socket.off('initial-video-states', handleInitialVideoStates);
       socket.off('initial-audio-states', handleInitialAudioStates);
       socket.off('user-joined', handleUserJoined);
-      socket.off('offer', handleOffer);
-      socket.off('answer', handleAnswer);
-      socket.off('ice-candidate', handleIceCandidate);
       socket.off('remoteVideoStateChange', handleRemoteVideoStateChange);
       socket.off('remoteAudioStateChange', handleRemoteAudioStateChange);
+      socket.off('remoteScreenShareChange', handleRemoteScreenShareChange);
+      socket.off(
+        'remoteRecordingStateChange',
+        handleRemoteRecordingStateChange
+      );
+      socket.off('remoteMusicModeChange', handleRemoteMusicModeChange);
+      socket.off('remoteProfileChange', handleRemoteProfileChange);
+      socket.off('remoteHostChange', handleRemoteHostChange);
+      socket.off('remoteRoomLockChange', handleRemoteRoomLockChange);
+      socket.off('remoteHostAction', handleRemoteHostAction);
+      socket.off('remoteWaitingRoomChange', handleRemoteWaitingRoomChange);
+      socket.off('remote-knock', handleRemoteKnock);
+      socket.off('remote-knock-cancel', handleKnockSettled);
+      socket.off('remote-knock-answer', handleKnockSettled);
+      socket.off('remote-chat-message', handleRemoteChatMessage);
       socket.off('user-disconnected', handleUserDisconnected);
       socket.off('room-not-found');
       socket.off('room-full');
       socket.off('room-created');
-    };
-  }, [socket]);
 
-  const createRoom = async () => {
+      bandwidthManager.destroy();
+      if (bandwidthManagerRef.current === bandwidthManager) {
+        bandwidthManagerRef.current = null;
+      }
+      fileTransfer.destroy();
+      if (fileTransferRef.current === fileTransfer) {
+        fileTransferRef.current = null;
+      }
+      peerManager.destroy();
+      if (peerManagerRef.current === peerManager) {
+        peerManagerRef.current = null;
+      }
+    };
+  }, [
+    socket,
+    STUN_TURN_SERVER,
+    TURN_USERNAME,
+    TURN_PASSWORD,
+    TRICKLE_ICE,
+    assignHost,
+  ]);
+
+  const createRoom = async (mediaSettings) => {
     // Ensure we have a fresh socket connection
     if (!socket || !socket.connected) {
       const newSocket = initializeSocket();
@@ -299,15 +1320,24 @@ const App = () => {
     setError('');
     const newRoomId = Math.floor(100000 + Math.random() * 900000).toString();
 
-    setRoomId(newRoomId);
     console.log('Requesting to create room with ID:', newRoomId);
 
-    const url = `${window.location.origin}?room=${newRoomId}`;
-    setRoomUrl(url);
-
-    socket.emit('create-room', { roomId: newRoomId });
-    await joinRoom(newRoomId);
-
+    setRoomCapacity(newRoomCapacity);
+    waitingRoomRef.current = newRoomWaitingRoom;
+    setIsWaitingRoomEnabled(newRoomWaitingRoom);
+    socket.emit('create-room', {
+      roomId: newRoomId,
+      maxParticipants: newRoomCapacity,
+      waitingRoom: newRoomWaitingRoom,
+    });
+    // The room page joins straight away with the devices picked here
+    sessionStorage.setItem(
+      ACTIVE_CALL_STORAGE_KEY,
+      JSON.stringify({ roomId: newRoomId, mediaSettings })
+    );
+    navigate(`/room/${newRoomId}`);
+
+    const url = getRoomUrl(newRoomId);
     navigator.clipboard
       .writeText(url)
       .then(() => {
@@ -318,7 +1348,7 @@ const App = () => {
       .catch((err) => console.error('Could not copy room URL:', err));
   };
 
-  const joinRoom = async (idToJoin = roomId) => {
+  const joinRoom = async (idToJoin = roomId, mediaSettings = {}) => {
     if (!idToJoin) {
       setError('Please enter a Room ID');
       return;
@@ -339,12 +1369,23 @@ const App = () => {
     socket.emit('check-room', { roomId: idToJoin });
 
     const roomExistsPromise = new Promise((resolve) => {
-      socket.once('room-exists', ({ exists }) => {
-        resolve(exists);
+      socket.once('room-exists', (room) => {
+        if (room.maxParticipants) {
+          setRoomCapacity(room.maxParticipants);
+        }
+        resolve(room);
       });
     });
 
-    const roomExists = await roomExistsPromise;
+    // `admitted` and `hostId` come from the server, which decides who may
+    // skip the waiting room (e.g. the room's creator)
+    const {
+      exists: roomExists,
+      waitingRoom = false,
+      locked = false,
+      admitted = false,
+      hostId: roomHostId = null,
+    } = await roomExistsPromise;
 
     if (!roomExists) {
       setError(
@@ -352,183 +1393,189 @@ const App = () => {
       );
       return;
     }
-
-    const stream = await getMediaStream();
-    if (!stream) {
-      setError(
-        'Failed to get camera/microphone access. Please ensure permissions are granted.'
-      );
+    if (locked) {
+      setError('This room is locked by the host, so nobody new can join.');
       return;
     }
 
-    socket.emit('join-room', { roomId: idToJoin });
+    const stream = await getMediaStream(mediaSettings);
+
+    // Wait outside until the host answers, unless the server already let us in
+    if (waitingRoom && !admitted) {
+      setIsWaitingToJoin(true);
+      const outcome = await knock(idToJoin, roomHostId);
+      setIsWaitingToJoin(false);
+      if (outcome !== 'admitted') {
+        stream.getTracks().forEach((track) => track.stop());
+        localStreamRef.current = null;
+        setLocalStream(null);
+        if (outcome === 'denied') {
+          setError('The host did not let you into this room.');
+        }
+        return;
+      }
+    }
+    waitingRoomRef.current = waitingRoom;
+    setIsWaitingRoomEnabled(waitingRoom);
+
+    socket.emit('join-room', {
+      roomId: idToJoin,
+      profile: getPublicProfile(profileRef.current),
+    });
+    if (profileRef.current) {
+      socket.emit('profileChange', {
+        profile: getPublicProfile(profileRef.current),
+      });
+    }
+    // Peers assume audio and video are on until told otherwise
+    if (
+      mediaSettings.startMuted ||
+      mediaSettings.startVideoOff ||
+      stream.getAudioTracks().length === 0 ||
+      stream.getVideoTracks().length === 0
+    ) {
+      emitMediaState(socket, stream);
+    }
+    if (musicModeRef.current) {
+      socket.emit('musicModeChange', { enabled: true });
+    }
+    sessionRef.current = { roomId: idToJoin, joinedAt: Date.now() };
+    setAudioOutputDeviceId(mediaSettings.audioOutputDeviceId || '');
+    setInputDevices({
+      audioDeviceId: mediaSettings.audioDeviceId || '',
+      videoDeviceId: mediaSettings.videoDeviceId || '',
+    });
     setJoined(true);
     console.log('Successfully joined room:', idToJoin);
   };
 
+  // Asks the host of `idToJoin` to let us in. Resolves to 'admitted',
+  // 'denied' or 'cancelled' (by us, or by losing the connection). Only an
+  // answer from the host counts; the server keeps us told who that is.
+  const knock = (idToJoin, initialHostId) =>
+    new Promise((resolve) => {
+      let knockHostId = initialHostId;
+      const finish = (outcome) => {
+        socket.off('remote-knock-answer', handleAnswer);
+        socket.off('remoteHostChange', handleHostChange);
+        socket.off('disconnect', handleDisconnect);
+        knockRef.current = null;
+        resolve(outcome);
+      };
+      const handleAnswer = ({ userId, targetId, admitted }) => {
+        if (targetId !== socket.id || userId !== knockHostId) return;
+        console.log(`Host ${admitted ? 'admitted' : 'denied'} us`);
+        finish(admitted ? 'admitted' : 'denied');
+      };
+      const handleHostChange = ({ hostId: newHostId }) => {
+        knockHostId = newHostId;
+      };
+      const handleDisconnect = () => finish('cancelled');
+
+      knockRef.current = {
+        roomId: idToJoin,
+        cancel: () => {
+          socket.emit('knock-cancel', { roomId: idToJoin });
+          finish('cancelled');
+        },
+      };
+      socket.on('remote-knock-answer', handleAnswer);
+      socket.on('remoteHostChange', handleHostChange);
+      socket.on('disconnect', handleDisconnect);
+      console.log('Knocking on room:', idToJoin);
+      socket.emit('knock', {
+        roomId: idToJoin,
+        profile: getPublicProfile(profileRef.current),
+      });
+    });
+
+  const enterRoom = async (idToJoin, mediaSettings) => {
+    setIsJoining(true);
+    try {
+      await joinRoom(idToJoin, mediaSettings);
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  // Links from before rooms had their own path: /?room=123456
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const roomFromUrl = params.get('room');
-    if (roomFromUrl) {
-      setRoomId(roomFromUrl);
+    const roomFromQuery = new URLSearchParams(location.search).get('room');
+    if (roomFromQuery) {
+      navigate(`/room/${roomFromQuery}`, { replace: true });
     }
-  }, []);
+  }, [location.search, navigate]);
 
-  const createPeer = (userId, callerId, stream) => {
-    console.log('Creating peer for user:', userId);
-    const iceServers = [{ urls: 'stun:stun.l.google.com:19302' }];
-    if (TURN_USERNAME && TURN_PASSWORD && STUN_TURN_SERVER) {
-      iceServers.push({
-        urls: 'turn:' + STUN_TURN_SERVER,
-        username: TURN_USERNAME,
-        credential: TURN_PASSWORD,
-      });
+  useEffect(() => {
+    if (routeRoomId) {
+      setRoomId(routeRoomId);
     }
+  }, [routeRoomId]);
 
-    const peer = new RTCPeerConnection({ iceServers });
+  // Devices to join the room in the address bar with, when they were picked
+  // already: right after creating it, or before this tab was reloaded
+  const activeCall = loadActiveCall();
+  const autoJoin =
+    routeRoomId && !joined && activeCall?.roomId === routeRoomId
+      ? activeCall
+      : null;
 
-    if (stream) {
-      stream.getTracks().forEach((track) => peer.addTrack(track, stream));
-    } else {
-      console.warn(
-        'No local stream available when creating peer for ' + userId
-      );
-    }
-
-    peer.onicecandidate = (event) => {
-      if (event.candidate) {
-        socket.emit('ice-candidate', {
-          target: userId,
-          candidate: event.candidate,
-        });
-      }
-    };
-
-    peer.oniceconnectionstatechange = () => {
-      console.log(
-        `ICE connection state with ${userId}: ${peer.iceConnectionState}`
-      );
-    };
-
-    peer.ontrack = ({ streams }) => {
-      console.log('Received tracks from:', userId);
-      setRemoteVideos((prev) => {
-        const exists = prev.find((v) => v.id === userId);
-        if (exists) {
-          return prev.map((v) =>
-            v.id === userId
-              ? {
-                  ...v,
-                  stream: streams[0],
-                  videoActive:
-                    v.videoActive !== undefined ? v.videoActive : true,
-                  audioActive:
-                    v.audioActive !== undefined ? v.audioActive : true,
-                }
-              : v
-          );
-        } else {
-          return [
-            ...prev,
-            {
-              id: userId,
-              stream: streams[0],
-              videoActive: true,
-              audioActive: true,
-            },
-          ];
-        }
-      });
-    };
+  useEffect(() => {
+    if (!autoJoin || isJoining || !isSocketConnected) return;
+    // Use them once, so a failed join leaves us on the room's lobby
+    sessionStorage.removeItem(ACTIVE_CALL_STORAGE_KEY);
+    enterRoom(routeRoomId, autoJoin.mediaSettings);
+  });
 
-    peer
-      .createOffer()
-      .then((offer) => peer.setLocalDescription(offer))
-      .then(() => {
-        console.log('Sending offer to:', userId);
-        socket.emit('offer', {
-          target: userId,
-          caller: callerId,
-          sdp: peer.localDescription,
-        });
+  // Remember the call and our current devices for a reload of this tab
+  useEffect(() => {
+    if (!joined || !sessionRef.current) return;
+    sessionStorage.setItem(
+      ACTIVE_CALL_STORAGE_KEY,
+      JSON.stringify({
+        roomId: sessionRef.current.roomId,
+        mediaSettings: {
+          ...inputDevices,
+          audioOutputDeviceId,
+          startMuted: isMuted,
+          startVideoOff: !isVideoEnabled,
+        },
       })
-      .catch((err) => {
-        console.error('Error creating offer:', err);
-      });
-
-    return peer;
-  };
-
-  const addPeer = (userId, callerId, stream) => {
-    console.log('Adding peer for user:', userId);
-
-    const iceServers = [{ urls: 'stun:stun.l.google.com:19302' }];
-    if (TURN_USERNAME && TURN_PASSWORD && STUN_TURN_SERVER) {
-      iceServers.push({
-        urls: 'turn:' + STUN_TURN_SERVER,
-        username: TURN_USERNAME,
-        credential: TURN_PASSWORD,
-      });
+    );
+  }, [joined, inputDevices, audioOutputDeviceId, isMuted, isVideoEnabled]);
+
+  // Tears the call down and resets the room state, wherever we go next
+  const endCall = () => {
+    // Hand the room over before going, to the successor everyone would pick
+    const remoteIds = peerManagerRef.current?.getPeerIds() || [];
+    if (socket && hostIdRef.current === socket.id && remoteIds.length > 0) {
+      const [successor] = [...remoteIds].sort();
+      socket.emit('hostChange', { hostId: successor });
     }
 
-    const peer = new RTCPeerConnection({ iceServers });
-
-    if (stream) {
-      stream.getTracks().forEach((track) => peer.addTrack(track, stream));
-    } else {
-      console.warn('No local stream available when adding peer for ' + userId);
+    // Finish a running recording so it can still be downloaded
+    if (recorderRef.current?.recording) {
+      stopRecording();
     }
 
-    peer.onicecandidate = (event) => {
-      if (event.candidate) {
-        socket.emit('ice-candidate', {
-          target: userId,
-          candidate: event.candidate,
-        });
-      }
-    };
-
-    peer.oniceconnectionstatechange = () => {
-      console.log(
-        `ICE connection state with ${userId}: ${peer.iceConnectionState}`
-      );
-    };
-
-    peer.ontrack = ({ streams }) => {
-      console.log('Received remote stream from:', userId);
-      setRemoteVideos((prev) => {
-        const exists = prev.find((v) => v.id === userId);
-        if (exists) {
-          return prev.map((v) =>
-            v.id === userId
-              ? {
-                  ...v,
-                  stream: streams[0],
-                  videoActive:
-                    v.videoActive !== undefined ? v.videoActive : true,
-                  audioActive:
-                    v.audioActive !== undefined ? v.audioActive : true,
-                }
-              : v
-          );
-        } else {
-          return [
-            ...prev,
-            {
-              id: userId,
-              stream: streams[0],
-              videoActive: true,
-              audioActive: true,
-            },
-          ];
-        }
-      });
-    };
+    // Stop any screen share along with the camera and microphone
+    if (screenShareRef.current) {
+      screenShareRef.current.stream
+        .getTracks()
+        .forEach((track) => track.stop());
+      screenShareRef.current = null;
+      setScreenShare(null);
+      bandwidthManagerRef.current?.setCameraReplaced(false);
+    }
 
-    return peer;
-  };
+    // Stop background processing and the raw camera track behind it
+    effectsProcessorRef.current?.stop();
+    effectsProcessorRef.current = null;
+    cameraTrackRef.current?.stop();
+    cameraTrackRef.current = null;
+    setVideoEffect('none');
+    setIsEffectsOpen(false);
 
-  const leaveRoom = () => {
     // Stop all local media tracks
     if (localStreamRef.current) {
       localStreamRef.current.getTracks().forEach((track) => track.stop());
@@ -536,20 +1583,40 @@ const App = () => {
       setLocalStream(null);
     }
 
-    // Close all peer connections
-    Object.values(peersRef.current).forEach((peer) => {
-      if (peer) peer.close();
-    });
-    peersRef.current = {};
+    // Close all peer connections and drop any file transfers
+    peerManagerRef.current?.closeAll();
+    fileTransferRef.current?.clear();
+
+    // Forget the session so a later reconnect or reload does not rejoin
+    sessionRef.current = null;
+    sessionStorage.removeItem(ACTIVE_CALL_STORAGE_KEY);
 
     // Reset all state variables
     setRemoteVideos([]);
     setJoined(false);
-    setIsCreator(false);
+    assignHost(null);
+    roomLockedRef.current = false;
+    setIsRoomLocked(false);
+    waitingRoomRef.current = false;
+    setIsWaitingRoomEnabled(false);
+    setJoinRequests([]);
+    setHostNotice('');
+    setIsParticipantsOpen(false);
     setRoomId('');
-    setRoomUrl('');
     setError('');
     setParticipantCount(1);
+    setRoomCapacity(DEFAULT_ROOM_CAPACITY);
+    setIsConnectionLost(false);
+    setIsSettingsOpen(false);
+    setActiveSpeakerId(null);
+    setStageSpeakerId(null);
+    speakerLevelsRef.current = {};
+    activeSpeakerRef.current = null;
+    setChatMessages([]);
+    setChatReadCount(0);
+    setIsChatOpen(false);
+    seenMessageIdsRef.current = new Set();
+    setParticipantProfiles({});
 
     // Don't disconnect socket, just leave the room on the server side
     if (socket && socket.connected) {
@@ -564,6 +1631,37 @@ const App = () => {
     console.log('Left room and reset for new connection.');
   };
 
+  // Leave button (or removal by the host): end the call and show its
+  // summary. `reason` is 'removed' or 'locked' when the host made us go
+  const leaveRoom = (reason = null) => {
+    const session = sessionRef.current;
+    if (!session) return;
+
+    const participantIds = new Set([
+      ...Object.keys(participantProfiles),
+      ...remoteVideos.map((v) => v.id),
+    ]);
+    setCallSummary({
+      roomId: session.roomId,
+      duration: Date.now() - session.joinedAt,
+      participants: [...participantIds].map(getDisplayName),
+      reason,
+    });
+    endCall();
+    navigate(`/room/${session.roomId}/ended`);
+  };
+
+  // Back/forward (or any other navigation) away from the call's page
+  // leaves it as well
+  useEffect(() => {
+    if (joined && sessionRef.current?.roomId !== routeRoomId) {
+      endCall();
+    }
+    if (knockRef.current && knockRef.current.roomId !== routeRoomId) {
+      knockRef.current.cancel();
+    }
+  });
+
   const toggleMute = () => {
     if (localStreamRef.current) {
       const audioTracks = localStreamRef.current.getAudioTracks();
@@ -579,6 +1677,117 @@ const App = () => {
     }
   };
 
+  // Re-acquires the microphone with or without voice processing and swaps it
+  // into every connection; the setting is kept if the new mic fails
+  const toggleMusicMode = async () => {
+    const enabled = !isMusicMode;
+    musicModeRef.current = enabled;
+
+    const hasMic = Boolean(localStreamRef.current?.getAudioTracks().length);
+    if (hasMic && !(await switchDevice('audio', inputDevices.audioDeviceId))) {
+      musicModeRef.current = !enabled;
+      setError('Could not switch the microphone to music mode');
+      return;
+    }
+
+    setIsMusicMode(enabled);
+    localStorage.setItem(MUSIC_MODE_STORAGE_KEY, String(enabled));
+    if (socket && joined) {
+      socket.emit('musicModeChange', { enabled });
+    }
+  };
+
+  // Puts `newTrack` in place of `oldTrack` in the local stream and on every
+  // connection, without stopping either track
+  const swapLocalTrack = async (oldTrack, newTrack) => {
+    const stream = localStreamRef.current;
+    const updatedStream = new MediaStream([
+      ...stream.getTracks().filter((track) => track !== oldTrack),
+      newTrack,
+    ]);
+    newTrack.enabled = oldTrack.enabled;
+
+    // While the screen replaces the camera, peers keep getting the screen
+    const share = screenShareRef.current;
+    if (!(newTrack.kind === 'video' && share?.mode === 'replace')) {
+      await peerManagerRef.current?.replaceTrack(
+        oldTrack,
+        newTrack,
+        updatedStream
+      );
+    }
+
+    localStreamRef.current = updatedStream;
+    setLocalStream(updatedStream);
+    peerManagerRef.current?.setLocalStream(
+      getOutgoingStream(updatedStream, share)
+    );
+  };
+
+  // Turns a background effect on, switches between effects, or goes back to
+  // the plain camera with 'none'
+  const applyVideoEffect = async (effect, image = null) => {
+    const stream = localStreamRef.current;
+    const [currentTrack] = stream ? stream.getVideoTracks() : [];
+    if (!currentTrack) return;
+
+    let processor = effectsProcessorRef.current;
+    if (effect === 'none') {
+      if (processor) {
+        await swapLocalTrack(currentTrack, cameraTrackRef.current);
+        processor.stop();
+        effectsProcessorRef.current = null;
+        cameraTrackRef.current = null;
+      }
+      setVideoEffect('none');
+      return;
+    }
+
+    if (processor) {
+      processor.setEffect(effect, image);
+      setVideoEffect(effect);
+      return;
+    }
+
+    setVideoEffectStatus({ isLoading: true, error: '' });
+    try {
+      const segmenter = await loadSegmenter();
+      processor = new VideoEffectsProcessor({
+        segmenter,
+        // Go back to the plain camera: a broken pipeline stops producing
+        // frames, which peers would see as frozen video
+        onError: (err) => {
+          if (effectsProcessorRef.current === processor) {
+            applyVideoEffect('none');
+          }
+          setVideoEffectStatus({
+            isLoading: false,
+            error: `The background effect stopped: ${err.message}`,
+          });
+        },
+      });
+      processor.setEffect(effect, image);
+      const processedTrack = processor.start(currentTrack);
+      effectsProcessorRef.current = processor;
+      cameraTrackRef.current = currentTrack;
+      await swapLocalTrack(currentTrack, processedTrack);
+      setVideoEffect(effect);
+      setVideoEffectStatus({ isLoading: false, error: '' });
+    } catch (err) {
+      console.error('Error starting background effect:', err);
+      processor?.stop();
+      setVideoEffectStatus({
+        isLoading: false,
+        error: `Background effects are unavailable: ${err.message}`,
+      });
+    }
+  };
+
+  const dismissMutedWarning = () => {
+    mutedWarningSnoozeRef.current = Date.now() + MUTED_WARNING_SNOOZE;
+    setShowMutedWarning(false);
+  };
+
   const toggleVideo = () => {
     if (localStreamRef.current) {
       const videoTracks = localStreamRef.current.getVideoTracks();
@@ -588,14 +1797,17 @@ const App = () => {
       });
       setIsVideoEnabled(newVideoState);
 
-      Object.values(peersRef.current).forEach((peer) => {
-        const sender = peer
-          .getSenders()
-          .find((s) => s.track && s.track.kind === 'video');
-        if (sender && videoTracks[0]) {
-          sender.replaceTrack(videoTracks[0]);
-        }
-      });
+      // The video sender carries the screen while it replaces the camera
+      if (screenShareRef.current?.mode !== 'replace') {
+        peerManagerRef.current?.getPeers().forEach((peer) => {
+          const sender = peer
+            .getSenders()
+            .find((s) => s.track && s.track.kind === 'video');
+          if (sender && videoTracks[0]) {
+            sender.replaceTrack(videoTracks[0]);
+          }
+        });
+      }
 
       if (socket && joined) {
         socket.emit('videoStateChange', { videoEnabled: newVideoState });
@@ -603,126 +1815,671 @@ const App = () => {
     }
   };
 
+  const isHost = Boolean(socket?.id) && hostId === socket.id;
+
+  const sendHostAction = (targetId, action) => {
+    if (socket && isHost) {
+      socket.emit('hostAction', { targetId, action });
+    }
+  };
+
+  const toggleRoomLock = () => {
+    if (!socket || !isHost) return;
+    const locked = !isRoomLocked;
+    roomLockedRef.current = locked;
+    setIsRoomLocked(locked);
+    socket.emit('roomLockChange', { locked });
+  };
+
+  const toggleWaitingRoom = () => {
+    if (!socket || !isHost) return;
+    const enabled = !isWaitingRoomEnabled;
+    waitingRoomRef.current = enabled;
+    setIsWaitingRoomEnabled(enabled);
+    socket.emit('waitingRoomChange', { enabled });
+  };
+
+  const answerJoinRequest = (userId, admitted) => {
+    if (!socket || !isHost) return;
+    socket.emit('knock-answer', { roomId, targetId: userId, admitted });
+    setJoinRequests((prev) =>
+      prev.filter((request) => request.userId !== userId)
+    );
+  };
+
+  const makeHost = (userId) => {
+    if (!socket || !isHost) return;
+    socket.emit('hostChange', { hostId: userId });
+    assignHost(userId);
+  };
+
+  // Carries out what the host asked through our own controls, so peers
+  // hear about the change the usual way
+  const handleHostAction = (action) => {
+    if (action === 'mute') {
+      if (!isMuted && localStreamRef.current?.getAudioTracks().length) {
+        toggleMute();
+      }
+      setHostNotice('The host muted you');
+    } else if (action === 'camera-off') {
+      if (isVideoEnabled && localStreamRef.current?.getVideoTracks().length) {
+        toggleVideo();
+      }
+      setHostNotice('The host turned off your camera');
+    } else if (action === 'remove') {
+      leaveRoom('removed');
+    } else if (action === 'locked') {
+      leaveRoom('locked');
+    }
+  };
+
+  useEffect(() => {
+    hostActionHandlerRef.current = handleHostAction;
+  });
+
+  useEffect(() => {
+    if (!hostNotice) return undefined;
+    const timer = setTimeout(() => setHostNotice(''), HOST_NOTICE_DURATION);
+    return () => clearTimeout(timer);
+  }, [hostNotice]);
+
+  const stopScreenShare = async () => {
+    const share = screenShareRef.current;
+    if (!share) return;
+
+    screenShareRef.current = null;
+    setScreenShare(null);
+
+    const peerManager = peerManagerRef.current;
+    if (share.mode === 'replace') {
+      const cameraStream = localStreamRef.current;
+      const [cameraTrack] = cameraStream ? cameraStream.getVideoTracks() : [];
+      peerManager?.setLocalStream(cameraStream);
+      await peerManager?.replaceTrack(share.track, cameraTrack || null);
+      bandwidthManagerRef.current?.setCameraReplaced(false);
+    } else {
+      peerManager?.removeTrack(share.track);
+    }
+    share.stream.getTracks().forEach((track) => track.stop());
+
+    if (socket && sessionRef.current) {
+      socket.emit('screenShareChange', { sharing: false });
+    }
+  };
+
+  const startScreenShare = async () => {
+    let displayStream;
+    try {
+      displayStream = await navigator.mediaDevices.getDisplayMedia({
+        video: true,
+      });
+    } catch (err) {
+      // Also reached when the user dismisses the browser's picker
+      console.error('Error starting screen share:', err);
+      return;
+    }
+
+    const [track] = displayStream.getVideoTracks();
+    track.contentHint = 'detail';
+
+    const cameraStream = localStreamRef.current;
+    const [cameraTrack] = cameraStream ? cameraStream.getVideoTracks() : [];
+    // Without a camera there is nothing to replace, so send it alongside
+    const mode =
+      screenShareMode === 'replace' && cameraTrack ? 'replace' : 'add';
+    const share = { mode, track, stream: displayStream };
+    screenShareRef.current = share;
+    setScreenShare(share);
+
+    const peerManager = peerManagerRef.current;
+    if (mode === 'replace') {
+      // The screen keeps browser defaults rather than the camera's ladder
+      bandwidthManagerRef.current?.setCameraReplaced(true);
+      await peerManager?.replaceTrack(cameraTrack, track);
+      peerManager?.setLocalStream(getOutgoingStream(cameraStream, share));
+    } else {
+      peerManager?.addTrack(track, displayStream);
+    }
+
+    // The browser's own "Stop sharing" button ends the track
+    track.addEventListener('ended', () => stopScreenShare());
+
+    if (socket && joined) {
+      socket.emit('screenShareChange', getScreenShareAnnouncement(share));
+    }
+  };
+
+  const toggleScreenShare = () => {
+    if (screenShareRef.current) {
+      stopScreenShare();
+    } else {
+      startScreenShare();
+    }
+  };
+
+  // Chat goes peer-to-peer; peers whose data channel is not open yet get it
+  // through the room over the socket instead (duplicates are dropped by ID)
+  const sendChatMessage = (text) => {
+    // The ID lets us drop messages that arrive over both transports
+    const message = { id: createId(), text, timestamp: Date.now() };
+    seenMessageIdsRef.current.add(message.id);
+    setChatMessages((prev) => [
+      ...prev,
+      { ...message, senderId: socket?.id, isLocal: true },
+    ]);
+
+    const unreached =
+      peerManagerRef.current?.sendData('chat', JSON.stringify(message)) || [];
+    if (unreached.length > 0 && socket) {
+      socket.emit('chat-message', { roomId, message });
+    }
+  };
+
+  const getDisplayName = (userId) =>
+    getParticipantName(participantProfiles, userId);
+
+  const getSenderName = (message) => getDisplayName(message.senderId);
+
+  const handleFileSelected = (e) => {
+    const [file] = e.target.files;
+    // Allow picking the same file again later
+    e.target.value = '';
+    if (file) {
+      fileTransferRef.current?.sendFile(file);
+    }
+  };
+
+  const startRecording = () => {
+    if (!recorderRef.current) {
+      recorderRef.current = new CallRecorder({
+        getTiles: () => recordingTilesRef.current,
+      });
+    }
+
+    try {
+      recorderRef.current.start();
+    } catch (err) {
+      console.error('Error starting recording:', err);
+      setError(`Could not start recording: ${err.message}`);
+      return;
+    }
+    setIsRecording(true);
+    socket?.emit('recordingStateChange', { recording: true });
+  };
+
+  const stopRecording = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder?.recording) return;
+
+    setIsRecording(false);
+    socket?.emit('recordingStateChange', { recording: false });
+
+    const blob = await recorder.stop();
+    if (!blob || blob.size === 0) return;
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    setRecordingDownload((prev) => {
+      if (prev) URL.revokeObjectURL(prev.url);
+      return {
+        url: URL.createObjectURL(blob),
+        filename: `call-${roomId || 'recording'}-${timestamp}.webm`,
+      };
+    });
+  };
+
+  const toggleRecording = () => {
+    if (isRecording) {
+      stopRecording();
+    } else {
+      startRecording();
+    }
+  };
+
+  const dismissRecordingDownload = () => {
+    setRecordingDownload((prev) => {
+      if (prev) URL.revokeObjectURL(prev.url);
+      return null;
+    });
+  };
+
+  const toggleJamPanel = () => {
+    setIsJamOpen((prev) => !prev);
+  };
+
   const copyRoomUrl = () => {
-    navigator.clipboard.writeText(roomUrl).then(() => {
+    navigator.clipboard.writeText(getRoomUrl(roomId)).then(() => {
       setIsCopied(true);
       setTimeout(() => setIsCopied(false), 3000);
     });
   };
 
+  const handleCreateConfirm = (mediaSettings) => {
+    setIsCreatingRoom(false);
+    createRoom(mediaSettings);
+  };
+
   const clearError = () => {
     setError('');
   };
 
-  return (
-    <div className="flex flex-col h-screen bg-gray-900 text-white font-sans">
-      {!joined ? (
-        <div className="flex-1 flex items-center justify-center p-4">
-          <div className="w-full max-w-md bg-gray-800 shadow-2xl rounded-xl p-6">
-            <div className="flex flex-col items-center gap-6">
-              <h1 className="text-3xl font-bold text-indigo-300 mb-2">
-                Video Chat Room
-              </h1>
-              <p className="text-gray-400 text-center max-w-md">
-                Connect with others through secure, high-quality video calls.
-                Create a room or join with a room ID. (Max 2 participants per
-                room)
-              </p>
+  const unreadChatCount = chatMessages
+    .slice(chatReadCount)
+    .filter((message) => !message.isLocal).length;
+
+  const hasLocalAudio = Boolean(localStream?.getAudioTracks().length);
+  const hasLocalVideo = Boolean(localStream?.getVideoTracks().length);
+
+  const participants = [
+    {
+      id: socket?.id || 'self',
+      name: profile?.name || 'You',
+      picture: profile?.picture,
+      audioActive: hasLocalAudio && !isMuted,
+      videoActive: hasLocalVideo && isVideoEnabled,
+      isSelf: true,
+      isHost,
+    },
+    ...remoteVideos.map((v) => ({
+      id: v.id,
+      name: getDisplayName(v.id),
+      picture: participantProfiles[v.id]?.picture,
+      audioActive: v.audioActive && v.audioAvailable !== false,
+      videoActive: v.videoActive && v.videoAvailable !== false,
+      isSelf: false,
+      isHost: v.id === hostId,
+    })),
+  ];
+
+  const remoteRecorders = remoteVideos.filter((v) => v.recording);
+
+  // The first remote participant sharing their screen takes the stage
+  const presenter = remoteVideos.find((v) => v.screenShare);
+  const presentationStream =
+    presenter &&
+    (presenter.screenShare.mode === 'replace'
+      ? presenter.stream
+      : presenter.screenStream);
+  // In 'replace' mode the presenter's camera tile would only repeat the screen
+  const stripVideos = remoteVideos.filter(
+    (v) => v !== presenter || presenter.screenShare.mode !== 'replace'
+  );
+  // With auto-promote, the last active speaker takes the stage instead
+  const speakerVideo =
+    autoPromoteSpeaker &&
+    !presenter &&
+    remoteVideos.length > 1 &&
+    remoteVideos.find((v) => v.id === stageSpeakerId);
+
+  const handleSpeakerLevel = useCallback((userId, level) => {
+    if (level === null) {
+      delete speakerLevelsRef.current[userId];
+    } else {
+      speakerLevelsRef.current[userId] = level;
+    }
+  }, []);
 
-              {error && (
-                <div className="bg-red-900 border border-red-700 text-red-300 px-4 py-3 rounded-lg relative w-full max-w-md">
-                  <div className="flex items-start gap-3">
-                    <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
-                    <div className="flex-1">
-                      <p className="font-medium mb-1">Unable to join room</p>
-                      <p className="text-sm">{error}</p>
-                    </div>
-                    <button
-                      onClick={clearError}
-                      className="text-red-300 hover:text-red-100 ml-2"
-                      aria-label="Close error"
-                    >
-                      ✕
-                    </button>
-                  </div>
-                </div>
-              )}
+  // Stable lookup for the stats overlay, which outlives connection rebuilds
+  const getPeer = useCallback(
+    (userId) => peerManagerRef.current?.getPeer(userId),
+    []
+  );
 
-              <div className="flex flex-col items-center gap-4 w-full max-w-md">
-                <button
-                  onClick={createRoom}
-                  className="bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white px-6 py-3 rounded-lg transition duration-300 w-full font-medium shadow-md flex items-center justify-center gap-2"
-                >
-                  <UserPlus size={20} /> Create New Room
-                </button>
-
-                {roomUrl && (
-                  <div className="w-full bg-gray-700 p-3 rounded-lg flex items-center justify-between gap-2">
-                    <input
-                      type="text"
-                      value={roomUrl}
-                      readOnly
-                      className="bg-transparent flex-1 outline-none text-sm text-gray-200"
-                    />
-                    <button
-                      onClick={copyRoomUrl}
-                      className="text-indigo-400 hover:text-indigo-200 text-sm font-medium flex items-center gap-1"
-                    >
-                      <Copy size={16} /> {isCopied ? 'Copied!' : 'Copy'}
-                    </button>
-                  </div>
-                )}
+  const renderRemoteVideo = (video, compact = false) => (
+    <>
+      <Video
+        stream={video.stream}
+        userId={video.id}
+        name={getDisplayName(video.id)}
+        picture={participantProfiles[video.id]?.picture}
+        mirror={true}
+        videoActive={video.videoActive}
+        audioActive={video.audioActive}
+        videoAvailable={video.videoAvailable}
+        audioAvailable={video.audioAvailable}
+        reconnecting={video.reconnecting}
+        musicMode={video.musicMode}
+        speaking={video.id === activeSpeakerId}
+        onLevel={handleSpeakerLevel}
+        audioOutputDeviceId={audioOutputDeviceId}
+        getPeer={getPeer}
+      />
+      <p
+        className={`absolute text-white font-medium bg-black bg-opacity-50 rounded-md z-20 ${
+          compact
+            ? 'bottom-1 left-1 text-xs px-2 py-0.5'
+            : 'bottom-4 left-4 text-base px-3 py-1'
+        }`}
+      >
+        {video.id === hostId && (
+          <Crown
+            size={compact ? 12 : 16}
+            className="inline mr-1 text-yellow-400 align-[-2px]"
+            aria-label="Host"
+          />
+        )}
+        {getDisplayName(video.id)}
+      </p>
+    </>
+  );
 
-                <div className="flex items-center gap-2 w-full">
-                  <hr className="flex-1 border-gray-600" />
-                  <span className="text-gray-500">or</span>
-                  <hr className="flex-1 border-gray-600" />
-                </div>
+  const errorBanner = error && (
+    <div className="bg-red-900 border border-red-700 text-red-300 px-4 py-3 rounded-lg relative w-full max-w-md">
+      <div className="flex items-start gap-3">
+        <AlertCircle size={20} className="flex-shrink-0 mt-0.5" />
+        <div className="flex-1">
+          <p className="font-medium mb-1">Unable to join room</p>
+          <p className="text-sm">{error}</p>
+        </div>
+        <button
+          onClick={clearError}
+          className="text-red-300 hover:text-red-100 ml-2"
+          aria-label="Close error"
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  );
 
-                <input
-                  type="text"
-                  value={roomId}
-                  onChange={(e) => setRoomId(e.target.value)}
-                  placeholder="Enter Room ID"
-                  className="border border-gray-600 rounded-lg px-4 py-3 w-full focus:outline-none focus:ring-2 focus:ring-indigo-500 transition bg-gray-700 text-white"
-                />
-                <button
-                  onClick={() => joinRoom()}
-                  disabled={!roomId}
-                  className={`${
-                    roomId
-                      ? 'bg-indigo-600 hover:bg-indigo-700'
-                      : 'bg-gray-500 cursor-not-allowed'
-                  } text-white px-6 py-3 rounded-lg transition duration-300 w-full font-medium shadow-md`}
-                >
-                  Join Room
-                </button>
-              </div>
+  const lobbyPage = isCreatingRoom ? (
+    <div className="flex-1 flex items-center justify-center p-4">
+      <DeviceLobby
+        roomId=""
+        actionLabel="Create Room"
+        onJoin={handleCreateConfirm}
+        onCancel={() => setIsCreatingRoom(false)}
+      />
+    </div>
+  ) : (
+    <div className="flex-1 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-gray-800 shadow-2xl rounded-xl p-6">
+        <div className="flex flex-col items-center gap-6">
+          <h1 className="text-3xl font-bold text-indigo-300 mb-2">
+            Video Chat Room
+          </h1>
+          <p className="text-gray-400 text-center max-w-md">
+            Connect with others through secure, high-quality video calls. Create
+            a room or join with a room ID. (Up to {MAX_ROOM_CAPACITY}{' '}
+            participants per room)
+          </p>
+
+          {errorBanner}
+
+          <div className="flex flex-col items-center gap-4 w-full max-w-md">
+            <ProfileCard profile={profile} onChange={setProfile} />
+
+            <label className="w-full flex items-center justify-between gap-3 text-sm text-gray-300">
+              Room size
+              <select
+                value={newRoomCapacity}
+                onChange={(e) => setNewRoomCapacity(Number(e.target.value))}
+                className="border border-gray-600 rounded-lg px-3 py-2 bg-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {ROOM_CAPACITY_OPTIONS.map((capacity) => (
+                  <option key={capacity} value={capacity}>
+                    {capacity} participants
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="w-full flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={newRoomWaitingRoom}
+                onChange={(e) => setNewRoomWaitingRoom(e.target.checked)}
+                className="accent-indigo-500"
+              />
+              Waiting room: I admit each person before they join
+            </label>
+
+            <button
+              onClick={() => setIsCreatingRoom(true)}
+              disabled={!profile}
+              className="disabled:opacity-50 disabled:cursor-not-allowed bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 text-white px-6 py-3 rounded-lg transition duration-300 w-full font-medium shadow-md flex items-center justify-center gap-2"
+            >
+              <UserPlus size={20} /> Create New Room
+            </button>
+
+            <div className="flex items-center gap-2 w-full">
+              <hr className="flex-1 border-gray-600" />
+              <span className="text-gray-500">or</span>
+              <hr className="flex-1 border-gray-600" />
             </div>
+
+            <input
+              type="text"
+              value={roomId}
+              onChange={(e) => setRoomId(e.target.value)}
+              placeholder="Enter Room ID"
+              className="border border-gray-600 rounded-lg px-4 py-3 w-full focus:outline-none focus:ring-2 focus:ring-indigo-500 transition bg-gray-700 text-white"
+            />
+            <button
+              onClick={() => navigate(`/room/${roomId.trim()}`)}
+              disabled={!roomId.trim() || !profile}
+              className={`${
+                roomId.trim() && profile
+                  ? 'bg-indigo-600 hover:bg-indigo-700'
+                  : 'bg-gray-500 cursor-not-allowed'
+              } text-white px-6 py-3 rounded-lg transition duration-300 w-full font-medium shadow-md`}
+            >
+              Join Room
+            </button>
           </div>
         </div>
+      </div>
+    </div>
+  );
+
+  // A room's page before we are in the call: the device lobby, or progress
+  // and errors while joining
+  const roomEntryPage = (
+    <div className="flex-1 flex items-center justify-center p-4">
+      {error ? (
+        <div className="w-full max-w-md bg-gray-800 shadow-2xl rounded-xl p-6 flex flex-col items-center gap-4">
+          {errorBanner}
+          <button
+            onClick={() => {
+              clearError();
+              navigate('/');
+            }}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg transition duration-300 w-full font-medium shadow-md"
+          >
+            Back to home
+          </button>
+        </div>
+      ) : isWaitingToJoin ? (
+        <WaitingRoom
+          stream={localStream}
+          roomId={routeRoomId}
+          onCancel={() => knockRef.current?.cancel()}
+        />
+      ) : isJoining || autoJoin ? (
+        <div className="flex items-center gap-2 text-gray-300">
+          <Loader2 size={20} className="animate-spin" /> Joining room{' '}
+          {routeRoomId}…
+        </div>
+      ) : !profile ? (
+        <div className="w-full max-w-md bg-gray-800 shadow-2xl rounded-xl p-6 flex flex-col items-center gap-4">
+          <h1 className="text-2xl font-bold text-indigo-300">
+            Join room {routeRoomId}
+          </h1>
+          <ProfileCard profile={profile} onChange={setProfile} />
+        </div>
       ) : (
-        <div className="relative flex-1 flex flex-col p-4 bg-gray-900 overflow-hidden">
-          {/* Main video area - full width */}
-          <div className="flex-1 relative flex flex-wrap items-center justify-center gap-4 rounded-lg overflow-hidden group bg-gray-800 p-2">
+        <DeviceLobby
+          roomId={routeRoomId}
+          actionLabel="Join Now"
+          onJoin={(mediaSettings) => enterRoom(routeRoomId, mediaSettings)}
+          onCancel={() => navigate('/')}
+        />
+      )}
+    </div>
+  );
+
+  const callPage = (
+    <div className="flex-1 flex min-h-0">
+      <div className="relative flex-1 flex flex-col p-4 bg-gray-900 overflow-hidden">
+        <div className="absolute top-4 left-4 bottom-4 z-30 pointer-events-none">
+          <div className="pointer-events-auto max-h-full flex">
+            <FileTransferPanel
+              transfers={fileTransfers}
+              getUserName={getDisplayName}
+              onAccept={(id) => fileTransferRef.current?.accept(id)}
+              onDecline={(id) => fileTransferRef.current?.decline(id)}
+              onCancel={(id) => fileTransferRef.current?.cancel(id)}
+              onDismiss={(id) => fileTransferRef.current?.dismiss(id)}
+            />
+          </div>
+        </div>
+
+        <div className="absolute top-4 right-4 z-30 flex flex-col items-end gap-2">
+          {isHost && joinRequests.length > 0 && (
+            <JoinRequests
+              requests={joinRequests}
+              onAnswer={answerJoinRequest}
+            />
+          )}
+          {hostNotice && (
+            <div className="flex items-center gap-2 bg-gray-800 bg-opacity-95 text-sm text-gray-100 px-3 py-2 rounded-lg shadow-lg">
+              <Crown size={16} className="text-yellow-400" />
+              {hostNotice}
+            </div>
+          )}
+          {(isRecording || remoteRecorders.length > 0) && (
+            <div className="flex items-center gap-2 bg-red-600 bg-opacity-90 text-white text-sm font-medium px-3 py-1.5 rounded-full shadow-lg">
+              <span className="w-2.5 h-2.5 rounded-full bg-white animate-pulse" />
+              {isRecording
+                ? 'You are recording'
+                : `Recording by ${remoteRecorders
+                    .map((v) => getDisplayName(v.id))
+                    .join(', ')}`}
+            </div>
+          )}
+          {recordingDownload && (
+            <div className="flex items-center gap-2 bg-gray-800 bg-opacity-95 text-sm text-gray-200 pl-3 pr-2 py-2 rounded-lg shadow-lg">
+              Recording ready
+              <a
+                href={recordingDownload.url}
+                download={recordingDownload.filename}
+                className="flex items-center gap-1 bg-green-600 hover:bg-green-700 text-white px-2 py-1 rounded-md"
+              >
+                <Download size={14} /> Save
+              </a>
+              <button
+                onClick={dismissRecordingDownload}
+                className="text-gray-400 hover:text-gray-200"
+                aria-label="Dismiss recording"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {showMutedWarning && (
+          <div className="absolute bottom-6 left-1/2 -translate-x-1/2 z-40 bg-gray-800 border border-gray-600 text-gray-100 pl-4 pr-2 py-2 rounded-lg flex items-center gap-3 shadow-lg">
+            <MicOff size={18} className="text-red-400" />
+            <p className="text-sm">You are muted</p>
+            <button
+              onClick={toggleMute}
+              className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm px-3 py-1 rounded-md"
+            >
+              Unmute
+            </button>
+            <button
+              onClick={dismissMutedWarning}
+              className="text-gray-400 hover:text-gray-200"
+              aria-label="Dismiss"
+            >
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        {isConnectionLost && (
+          <div className="absolute top-6 left-1/2 -translate-x-1/2 z-40 bg-yellow-900 border border-yellow-700 text-yellow-200 px-4 py-2 rounded-lg flex items-center gap-2 shadow-lg">
+            <WifiOff size={18} />
+            <p className="text-sm">
+              Connection to the server lost. Reconnecting…
+            </p>
+          </div>
+        )}
+
+        {presenter ? (
+          /* Presenter layout - shared screen large, cameras in a strip */
+          <div className="flex-1 relative flex flex-col gap-4 min-h-0 rounded-lg overflow-hidden bg-gray-800 p-2">
+            <div className="relative flex-1 min-h-0 z-10 rounded-lg overflow-hidden">
+              <Video
+                stream={presentationStream}
+                userId={presenter.id}
+                name={getDisplayName(presenter.id)}
+                picture={participantProfiles[presenter.id]?.picture}
+                videoActive={Boolean(presentationStream)}
+                audioActive={true}
+                reconnecting={presenter.reconnecting}
+                speaking={presenter.id === activeSpeakerId}
+                // Measured here when their camera tile is not in the strip
+                onLevel={
+                  presenter.screenShare.mode === 'replace'
+                    ? handleSpeakerLevel
+                    : null
+                }
+                audioOutputDeviceId={audioOutputDeviceId}
+              />
+              <p className="absolute bottom-4 left-4 text-white text-base font-medium bg-black bg-opacity-50 px-3 py-1 rounded-md z-20 flex items-center gap-2">
+                <ScreenShare size={16} />
+                {getDisplayName(presenter.id)} is presenting
+              </p>
+            </div>
+            {stripVideos.length > 0 && (
+              <div className="flex gap-2 h-24 md:h-32 flex-shrink-0 overflow-x-auto z-10">
+                {stripVideos.map((video) => (
+                  <div
+                    key={video.id}
+                    className="relative h-full aspect-video flex-shrink-0 rounded-lg overflow-hidden"
+                  >
+                    {renderRemoteVideo(video, true)}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ) : speakerVideo ? (
+          /* Speaker layout - active speaker large, others in a strip */
+          <div className="flex-1 relative flex flex-col gap-4 min-h-0 rounded-lg overflow-hidden bg-gray-800 p-2">
+            <div className="relative flex-1 min-h-0 z-10 rounded-lg overflow-hidden">
+              {renderRemoteVideo(speakerVideo)}
+            </div>
+            <div className="flex gap-2 h-24 md:h-32 flex-shrink-0 overflow-x-auto z-10">
+              {remoteVideos
+                .filter((v) => v !== speakerVideo)
+                .map((video) => (
+                  <div
+                    key={video.id}
+                    className="relative h-full aspect-video flex-shrink-0 rounded-lg overflow-hidden"
+                  >
+                    {renderRemoteVideo(video, true)}
+                  </div>
+                ))}
+            </div>
+          </div>
+        ) : (
+          /* Main video area - full width */
+          <div
+            className={`flex-1 relative grid auto-rows-fr gap-4 rounded-lg overflow-hidden group bg-gray-800 p-2 ${getGridClasses(
+              remoteVideos.length
+            )}`}
+          >
             <div className="absolute inset-0 w-full h-full bg-gray-800 filter blur-lg scale-110"></div>
 
             {remoteVideos.length > 0 ? (
-              remoteVideos.map(({ id, stream, videoActive, audioActive }) => (
+              remoteVideos.map((video) => (
                 <div
-                  key={id}
-                  className="relative w-full h-full flex-grow flex-shrink z-10 aspect-video rounded-lg overflow-hidden sm:w-1/2 lg:w-1/3 xl:w-1/4 max-w-full max-h-full"
+                  key={video.id}
+                  className="relative w-full h-full min-h-0 z-10 rounded-lg overflow-hidden"
                 >
-                  <Video
-                    stream={stream}
-                    userId={id}
-                    mirror={true}
-                    videoActive={videoActive}
-                    audioActive={audioActive}
-                  />
-                  <p className="absolute bottom-4 left-4 text-white text-base font-medium bg-black bg-opacity-50 px-3 py-1 rounded-md z-20">
-                    {id.substring(0, 6)}...
-                  </p>
+                  {renderRemoteVideo(video)}
                 </div>
               ))
             ) : (
@@ -731,51 +2488,132 @@ const App = () => {
                   <Users size={48} className="mx-auto mb-4 opacity-50" />
                   <p>Waiting for others to join...</p>
                   <p className="text-lg mt-2">
-                    Room capacity: {participantCount}/2
+                    Room capacity: {participantCount}/{roomCapacity}
                   </p>
                 </div>
               </div>
             )}
           </div>
+        )}
+
+        {/* Local video preview - always positioned at bottom-right */}
+        {localStream && (
+          <div className="absolute bottom-4 right-4 w-40 h-30 md:w-60 md:h-40 lg:w-72 lg:h-48 rounded-lg overflow-hidden z-20 m-4 shadow-xl border-2 border-indigo-500">
+            <video
+              style={{ transform: 'scaleX(-1)' }}
+              ref={localVideoRef}
+              autoPlay
+              playsInline
+              muted
+              className={`relative w-full h-full object-cover z-10 transition-opacity duration-300 ${
+                isVideoEnabled ? 'opacity-100' : 'opacity-0'
+              }`}
+            />
 
-          {/* Local video preview - always positioned at bottom-right */}
-          {localStream && (
-            <div className="absolute bottom-4 right-4 w-40 h-30 md:w-60 md:h-40 lg:w-72 lg:h-48 rounded-lg overflow-hidden z-20 m-4 shadow-xl border-2 border-indigo-500">
-              <video
-                style={{ transform: 'scaleX(-1)' }}
-                ref={localVideoRef}
-                autoPlay
-                playsInline
-                muted
-                className={`relative w-full h-full object-cover z-10 transition-opacity duration-300 ${
-                  isVideoEnabled ? 'opacity-100' : 'opacity-0'
-                }`}
-              />
-
-              {!isVideoEnabled && (
-                <div className="absolute inset-0 flex items-center justify-center bg-gray-700 text-white z-20">
-                  <div className="text-center">
-                    <div className="w-16 h-16 bg-indigo-600 rounded-full flex items-center justify-center mx-auto mb-1">
-                      <span className="text-xl font-bold">
-                        {socket?.id?.substring(0, 1).toUpperCase() || 'Y'}
-                      </span>
-                    </div>
-                    <p className="text-sm">Camera Off</p>
-                  </div>
+            {!isVideoEnabled && (
+              <div className="absolute inset-0 flex items-center justify-center bg-gray-700 text-white z-20">
+                <div className="text-center">
+                  <Avatar
+                    name={profile?.name}
+                    picture={profile?.picture}
+                    fallback="Y"
+                    className="w-16 h-16 text-xl mx-auto mb-1"
+                  />
+                  <p className="text-sm">
+                    {getNoVideoLabel(hasLocalVideo, hasLocalAudio)}
+                  </p>
                 </div>
-              )}
-              <p className="absolute bottom-1 left-1 text-white text-xs font-medium bg-gray-800 bg-opacity-50 px-2 py-0.5 rounded-md z-20">
-                You
-              </p>
-              {isMuted && (
-                <div className="absolute top-1 left-1">
-                  <div className="w-6 h-6 bg-red-600 rounded-full flex items-center justify-center">
-                    <MicOff size={12} className="text-white" />
-                  </div>
+              </div>
+            )}
+            <p className="absolute bottom-1 left-1 text-white text-xs font-medium bg-gray-800 bg-opacity-50 px-2 py-0.5 rounded-md z-20">
+              You
+            </p>
+            {screenShare && (
+              <div className="absolute top-1 right-1 z-20 bg-indigo-600 text-white text-xs font-medium px-2 py-0.5 rounded-md flex items-center gap-1">
+                <ScreenShare size={12} /> Presenting
+              </div>
+            )}
+            <AudioLevelRing stream={localStream} />
+            {isMusicMode && (
+              <div
+                className="absolute bottom-1 right-1 z-20 bg-purple-600 text-white p-1 rounded-md"
+                title="Music mode"
+              >
+                <Music size={12} />
+              </div>
+            )}
+            {isMuted && (
+              <div className="absolute top-1 left-1">
+                <div className="w-6 h-6 bg-red-600 rounded-full flex items-center justify-center">
+                  <MicOff size={12} className="text-white" />
                 </div>
-              )}
-            </div>
-          )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+      {isChatOpen && (
+        <div className="w-80 flex-shrink-0 py-4 pr-4">
+          <ChatPanel
+            messages={chatMessages}
+            getSenderName={getSenderName}
+            onSend={sendChatMessage}
+            onClose={() => setIsChatOpen(false)}
+          />
+        </div>
+      )}
+      {isParticipantsOpen && (
+        <div className="w-80 flex-shrink-0 py-4 pr-4">
+          <ParticipantsPanel
+            participants={participants}
+            isHost={isHost}
+            isLocked={isRoomLocked}
+            isWaitingRoomEnabled={isWaitingRoomEnabled}
+            onMute={(userId) => sendHostAction(userId, 'mute')}
+            onDisableCamera={(userId) => sendHostAction(userId, 'camera-off')}
+            onMakeHost={makeHost}
+            onRemove={(userId) => sendHostAction(userId, 'remove')}
+            onToggleLock={toggleRoomLock}
+            onToggleWaitingRoom={toggleWaitingRoom}
+            onClose={() => setIsParticipantsOpen(false)}
+          />
+        </div>
+      )}
+    </div>
+  );
+
+  const endedRoomId = endedMatch?.params.roomId;
+  const endedPage = (
+    <div className="flex-1 flex items-center justify-center p-4">
+      <CallEnded
+        roomId={endedRoomId}
+        summary={callSummary?.roomId === endedRoomId ? callSummary : null}
+        recordingDownload={recordingDownload}
+        onRejoin={() => navigate(`/room/${endedRoomId}`)}
+        onHome={() => navigate('/')}
+      />
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col h-screen bg-gray-900 text-white font-sans">
+      <Routes>
+        <Route path="/" element={lobbyPage} />
+        <Route
+          path="/room/:roomId"
+          element={joined ? callPage : roomEntryPage}
+        />
+        <Route path="/room/:roomId/ended" element={endedPage} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+
+      {joined && isJamOpen && (
+        <div className="mx-4 h-56 md:h-64 z-20">
+          <MidiVisualizer
+            socket={socket}
+            roomId={roomId}
+            localUserId={socket?.id}
+          />
         </div>
       )}
 
@@ -786,29 +2624,62 @@ const App = () => {
               Room ID:{' '}
               <span className="font-medium text-gray-300">{roomId}</span>
             </p>
+            <button
+              onClick={copyRoomUrl}
+              className="text-indigo-400 hover:text-indigo-200 text-sm font-medium flex items-center gap-1"
+              title="Copy a link to this room"
+            >
+              <Copy size={14} /> {isCopied ? 'Copied!' : 'Copy link'}
+            </button>
           </div>
 
           <div className="flex items-center gap-4">
             <button
               onClick={toggleMute}
-              className={`p-3 rounded-full transition-colors duration-200 ease-in-out ${
-                isMuted
+              disabled={!hasLocalAudio}
+              className={`p-3 rounded-full transition-colors duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed ${
+                isMuted || !hasLocalAudio
                   ? 'bg-red-500 text-white hover:bg-red-600'
                   : 'bg-gray-700 hover:bg-gray-600 text-white'
               }`}
-              title={isMuted ? 'Unmute' : 'Mute'}
+              title={
+                !hasLocalAudio ? 'No microphone' : isMuted ? 'Unmute' : 'Mute'
+              }
             >
               {isMuted ? <MicOff size={24} /> : <Mic size={24} />}
             </button>
 
             <button
-              onClick={toggleVideo}
+              onClick={toggleMusicMode}
               className={`p-3 rounded-full transition-colors duration-200 ease-in-out ${
+                isMusicMode
+                  ? 'bg-purple-600 text-white hover:bg-purple-700'
+                  : 'bg-gray-700 hover:bg-gray-600 text-white'
+              }`}
+              title={
+                isMusicMode
+                  ? 'Turn off music mode'
+                  : 'Music mode: no echo cancellation, noise suppression or auto gain'
+              }
+            >
+              <Music size={24} />
+            </button>
+
+            <button
+              onClick={toggleVideo}
+              disabled={!hasLocalVideo}
+              className={`p-3 rounded-full transition-colors duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed ${
                 !isVideoEnabled
                   ? 'bg-red-500 text-white hover:bg-red-600'
                   : 'bg-gray-700 hover:bg-gray-600 text-white'
               }`}
-              title={isVideoEnabled ? 'Turn off camera' : 'Turn on camera'}
+              title={
+                !hasLocalVideo
+                  ? 'No camera'
+                  : isVideoEnabled
+                    ? 'Turn off camera'
+                    : 'Turn on camera'
+              }
             >
               {isVideoEnabled ? (
                 <VideoIcon size={24} />
@@ -818,16 +2689,174 @@ const App = () => {
             </button>
 
             <button
-              onClick={leaveRoom}
+              onClick={toggleScreenShare}
+              className={`p-3 rounded-full transition-colors duration-200 ease-in-out ${
+                screenShare
+                  ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+                  : 'bg-gray-700 hover:bg-gray-600 text-white'
+              }`}
+              title={screenShare ? 'Stop sharing screen' : 'Share screen'}
+            >
+              {screenShare ? (
+                <ScreenShareOff size={24} />
+              ) : (
+                <ScreenShare size={24} />
+              )}
+            </button>
+
+            <button
+              onClick={toggleRecording}
+              disabled={!isRecordingSupported()}
+              className={`p-3 rounded-full transition-colors duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed ${
+                isRecording
+                  ? 'bg-red-500 text-white hover:bg-red-600'
+                  : 'bg-gray-700 hover:bg-gray-600 text-white'
+              }`}
+              title={isRecording ? 'Stop recording' : 'Record the call'}
+            >
+              {isRecording ? (
+                <Square size={24} />
+              ) : (
+                <Circle size={24} className="text-red-400" />
+              )}
+            </button>
+
+            <button
+              onClick={() => {
+                setIsChatOpen((prev) => !prev);
+                setIsParticipantsOpen(false);
+              }}
+              className={`relative p-3 rounded-full transition-colors duration-200 ease-in-out ${
+                isChatOpen
+                  ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+                  : 'bg-gray-700 hover:bg-gray-600 text-white'
+              }`}
+              title={isChatOpen ? 'Hide chat' : 'Show chat'}
+            >
+              <MessageSquare size={24} />
+              {unreadChatCount > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 bg-red-600 rounded-full text-xs font-bold flex items-center justify-center">
+                  {unreadChatCount > 9 ? '9+' : unreadChatCount}
+                </span>
+              )}
+            </button>
+
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={remoteVideos.length === 0}
+              className="p-3 rounded-full transition-colors duration-200 ease-in-out bg-gray-700 hover:bg-gray-600 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Send a file"
+            >
+              <Paperclip size={24} />
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              className="hidden"
+              onChange={handleFileSelected}
+            />
+
+            <div className="relative">
+              <button
+                onClick={() => setIsEffectsOpen((prev) => !prev)}
+                disabled={!hasLocalVideo}
+                className={`p-3 rounded-full transition-colors duration-200 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed ${
+                  isEffectsOpen || videoEffect !== 'none'
+                    ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+                    : 'bg-gray-700 hover:bg-gray-600 text-white'
+                }`}
+                title="Background effects"
+              >
+                <Sparkles size={24} />
+              </button>
+              {isEffectsOpen && (
+                <VideoEffectsPanel
+                  stream={localStream}
+                  effect={videoEffect}
+                  isLoading={videoEffectStatus.isLoading}
+                  error={videoEffectStatus.error}
+                  onEffectChange={applyVideoEffect}
+                  onClose={() => setIsEffectsOpen(false)}
+                />
+              )}
+            </div>
+
+            <div className="relative">
+              <button
+                onClick={() => setIsSettingsOpen((prev) => !prev)}
+                className={`p-3 rounded-full transition-colors duration-200 ease-in-out ${
+                  isSettingsOpen
+                    ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+                    : 'bg-gray-700 hover:bg-gray-600 text-white'
+                }`}
+                title="Settings"
+              >
+                <Settings size={24} />
+              </button>
+              {isSettingsOpen && (
+                <SettingsMenu
+                  audioDeviceId={inputDevices.audioDeviceId}
+                  videoDeviceId={inputDevices.videoDeviceId}
+                  audioOutputDeviceId={audioOutputDeviceId}
+                  onAudioDeviceChange={(id) => switchDevice('audio', id)}
+                  onVideoDeviceChange={(id) => switchDevice('video', id)}
+                  onAudioOutputDeviceChange={setAudioOutputDeviceId}
+                  screenShareMode={screenShareMode}
+                  onScreenShareModeChange={setScreenShareMode}
+                  qualityPreset={qualityPreset}
+                  onQualityPresetChange={setQualityPreset}
+                  codecSettings={codecSettings}
+                  onCodecSettingsChange={setCodecSettings}
+                  autoPromoteSpeaker={autoPromoteSpeaker}
+                  onAutoPromoteSpeakerChange={setAutoPromoteSpeaker}
+                  mutedWarningEnabled={mutedWarningEnabled}
+                  onMutedWarningEnabledChange={setMutedWarningEnabled}
+                  onClose={() => setIsSettingsOpen(false)}
+                />
+              )}
+            </div>
+
+            <button
+              onClick={toggleJamPanel}
+              className={`p-3 rounded-full transition-colors duration-200 ease-in-out ${
+                isJamOpen
+                  ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+                  : 'bg-gray-700 hover:bg-gray-600 text-white'
+              }`}
+              title={isJamOpen ? 'Hide jam panel' : 'Show jam panel'}
+            >
+              <Piano size={24} />
+            </button>
+
+            <button
+              onClick={() => leaveRoom()}
               className="bg-red-600 hover:bg-red-700 text-white px-5 py-2.5 rounded-full transition-colors duration-300 font-medium shadow-md flex items-center gap-1.5 text-sm"
             >
               <LogOut size={18} /> Leave
             </button>
           </div>
 
-          <div className="flex-1 flex items-center justify-end gap-2 pr-3 text-gray-300">
-            <Users size={24} />
-            <span className="text-lg font-medium">{participantCount}/2</span>
+          <div className="flex-1 flex items-center justify-end pr-3">
+            <button
+              onClick={() => {
+                setIsParticipantsOpen((prev) => !prev);
+                setIsChatOpen(false);
+              }}
+              className={`flex items-center gap-2 px-3 py-1.5 rounded-full transition-colors duration-200 ease-in-out ${
+                isParticipantsOpen
+                  ? 'bg-indigo-600 text-white hover:bg-indigo-700'
+                  : 'text-gray-300 hover:bg-gray-700'
+              }`}
+              title={
+                isParticipantsOpen ? 'Hide participants' : 'Show participants'
+              }
+            >
+              {isHost && <Crown size={18} className="text-yellow-400" />}
+              <Users size={24} />
+              <span className="text-lg font-medium">
+                {participantCount}/{roomCapacity}
+              </span>
+            </button>
           </div>
         </div>
       )}
@@ -838,11 +2867,38 @@ const App = () => {
 const Video = ({
   stream,
   userId,
+  name = '',
+  picture = '',
   mirror = false,
   videoActive,
   audioActive,
+  videoAvailable = true,
+  audioAvailable = true,
+  reconnecting = false,
+  musicMode = false,
+  speaking = false,
+  onLevel = null,
+  audioOutputDeviceId = '',
+  getPeer = null,
 }) => {
   const videoRef = useRef(null);
+  const [showStats, setShowStats] = useState(false);
+  const level = useAudioLevel(onLevel ? stream : null);
+
+  // Report our speaking level so the app can pick the active speaker
+  useEffect(() => {
+    onLevel?.(userId, level);
+  }, [onLevel, userId, level]);
+  useEffect(() => () => onLevel?.(userId, null), [onLevel, userId]);
+
+  // Route remote audio to the chosen speaker where the browser supports it
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || typeof video.setSinkId !== 'function') return;
+    video.setSinkId(audioOutputDeviceId).catch((err) => {
+      console.error('Error setting audio output device:', err);
+    });
+  }, [audioOutputDeviceId]);
 
   useEffect(() => {
     if (videoRef.current && stream) {
@@ -852,6 +2908,8 @@ const Video = ({
     }
   }, [stream, userId, videoActive]);
 
+  const showVideo = videoActive && videoAvailable;
+
   return (
     <div className="relative w-full h-full overflow-hidden rounded-lg shadow-lg bg-black group">
       <video
@@ -860,23 +2918,60 @@ const Video = ({
         playsInline
         style={mirror ? { transform: 'scaleX(-1)' } : {}}
         className={`relative w-full h-full object-contain z-10 transition-opacity duration-300 ${
-          videoActive ? 'opacity-100' : 'opacity-0'
+          showVideo ? 'opacity-100' : 'opacity-0'
         }`}
       />
-      {!videoActive && (
+      {!showVideo && (
         <div className="absolute inset-0 flex items-center justify-center bg-gray-800 text-white z-20">
           <div className="text-center">
-            <div className="w-12 h-12 bg-indigo-600 rounded-full flex items-center justify-center mx-auto mb-1">
-              <span className="text-lg font-bold">
-                {userId?.substring(0, 1).toUpperCase() || 'U'}
-              </span>
-            </div>
-            <p className="text-sm">Camera Off</p>
+            <Avatar
+              name={name}
+              picture={picture}
+              className="w-12 h-12 text-lg mx-auto mb-1"
+            />
+            <p className="text-sm">
+              {getNoVideoLabel(videoAvailable, audioAvailable)}
+            </p>
+          </div>
+        </div>
+      )}
+      {reconnecting && (
+        <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-60 text-white z-30">
+          <div className="flex items-center gap-2">
+            <Loader2 size={20} className="animate-spin" />
+            <p className="text-sm font-medium">Reconnecting…</p>
           </div>
         </div>
       )}
+      {getPeer &&
+        (showStats ? (
+          <StatsOverlay
+            userId={userId}
+            getPeer={getPeer}
+            onClose={() => setShowStats(false)}
+          />
+        ) : (
+          <button
+            onClick={() => setShowStats(true)}
+            className="absolute top-2 left-2 z-40 p-1.5 rounded-full bg-black bg-opacity-50 text-white opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+            title="Show connection stats"
+          >
+            <Activity size={14} />
+          </button>
+        ))}
+      {speaking && (
+        <div className="absolute inset-0 rounded-lg border-4 border-green-400 z-30 pointer-events-none" />
+      )}
+      {musicMode && (
+        <div
+          className="absolute bottom-2 right-2 z-20 bg-purple-600 text-white text-xs font-medium px-2 py-0.5 rounded-md flex items-center gap-1"
+          title="Sending unprocessed audio for instruments"
+        >
+          <Music size={12} /> Music mode
+        </div>
+      )}
       {/* Single mute indicator in top-right corner only */}
-      {!audioActive && videoActive && (
+      {!audioActive && showVideo && (
         <div className="absolute top-2 right-2">
           <div className="w-6 h-6 bg-red-600 rounded-full flex items-center justify-center">
             <MicOff size={12} className="text-white" />
@@ -887,4 +2982,18 @@ const Video = ({
   );
 };
 
+// Glow around the self-preview that follows our microphone level
+const AudioLevelRing = ({ stream }) => {
+  const level = useAudioLevel(stream);
+
+  return (
+    <div
+      className="absolute inset-0 rounded-md z-30 pointer-events-none"
+      style={{
+        boxShadow: `inset 0 0 0 ${Math.round(2 + level * 6)}px rgba(74, 222, 128, ${Math.min(1, level * 2)})`,
+      }}
+    />
+  );
+};
+
 export default App;
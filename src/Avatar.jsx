@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react';
+import { getInitial } from './profile';
+
+/**
+ * Avatar Component: round profile picture, or the name's first letter when
+ * there is no picture or it fails to load. `className` sets the size.
+ */
+const Avatar = ({
+  name,
+  picture,
+  fallback,
+  className = 'w-12 h-12 text-lg',
+}) => {
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    setFailed(false);
+  }, [picture]);
+
+  return (
+    <div
+      className={`bg-indigo-600 rounded-full flex items-center justify-center overflow-hidden flex-shrink-0 ${className}`}
+    >
+      {picture && !failed ? (
+        <img
+          src={picture}
+          alt=""
+          // Google avatars refuse requests that carry our referrer
+          referrerPolicy="no-referrer"
+          onError={() => setFailed(true)}
+          className="w-full h-full object-cover"
+        />
+      ) : (
+        <span className="font-bold">{getInitial(name, fallback)}</span>
+      )}
+    </div>
+  );
+};
+
+export default Avatar;
@@ -0,0 +1,269 @@
+// How often outbound stats are checked, in milliseconds
+const POLL_INTERVAL = 2000;
+// Packet loss (as a fraction) above which we step quality down...
+const HIGH_LOSS = 0.08;
+// ...and below which the link counts as healthy
+const LOW_LOSS = 0.02;
+// Round-trip time, in seconds, above which we step quality down
+const HIGH_RTT = 0.5;
+// Healthy polls in a row needed before quality is stepped back up
+const POLLS_BEFORE_UPGRADE = 5;
+
+/**
+ * Video encoding ladders, best level first. The manager starts every
+ * connection at the top of the chosen preset and moves down the ladder while
+ * the network struggles.
+ */
+export const QUALITY_PRESETS = {
+  'data-saver': {
+    label: 'Data saver',
+    levels: [
+      { maxBitrate: 250000, scaleResolutionDownBy: 2, maxFramerate: 15 },
+      { maxBitrate: 150000, scaleResolutionDownBy: 3, maxFramerate: 12 },
+      { maxBitrate: 80000, scaleResolutionDownBy: 4, maxFramerate: 8 },
+    ],
+  },
+  balanced: {
+    label: 'Balanced',
+    levels: [
+      { maxBitrate: 900000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+      { maxBitrate: 500000, scaleResolutionDownBy: 1.5, maxFramerate: 24 },
+      { maxBitrate: 250000, scaleResolutionDownBy: 2, maxFramerate: 15 },
+      { maxBitrate: 120000, scaleResolutionDownBy: 4, maxFramerate: 10 },
+    ],
+  },
+  hd: {
+    label: 'HD',
+    levels: [
+      { maxBitrate: 2500000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+      { maxBitrate: 1200000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+      { maxBitrate: 600000, scaleResolutionDownBy: 1.5, maxFramerate: 24 },
+      { maxBitrate: 300000, scaleResolutionDownBy: 2, maxFramerate: 15 },
+    ],
+  },
+};
+
+export const DEFAULT_QUALITY_PRESET = 'balanced';
+
+// Outbound video health for one connection, from a getStats() report
+const readNetworkStats = (report, previous) => {
+  const stats = Array.from(report.values());
+  const remoteInbound = stats.filter(
+    (s) => s.type === 'remote-inbound-rtp' && s.kind === 'video'
+  );
+  const outbound = stats.filter(
+    (s) => s.type === 'outbound-rtp' && s.kind === 'video'
+  );
+  const pair = stats.find(
+    (s) =>
+      s.type === 'candidate-pair' &&
+      (s.selected || (s.nominated && s.state === 'succeeded'))
+  );
+
+  const packetsSent = outbound.reduce(
+    (sum, s) => sum + (s.packetsSent || 0),
+    0
+  );
+  const packetsLost = remoteInbound.reduce(
+    (sum, s) => sum + (s.packetsLost || 0),
+    0
+  );
+  let loss = null;
+  if (previous) {
+    const sent = packetsSent - previous.packetsSent;
+    if (sent > 0) {
+      loss = Math.max(0, packetsLost - previous.packetsLost) / sent;
+    }
+  }
+
+  return {
+    packetsSent,
+    packetsLost,
+    loss,
+    rtt:
+      remoteInbound.find((s) => s.roundTripTime !== undefined)?.roundTripTime ??
+      pair?.currentRoundTripTime,
+    availableBitrate: pair?.availableOutgoingBitrate,
+    bandwidthLimited: outbound.some(
+      (s) => s.qualityLimitationReason === 'bandwidth'
+    ),
+  };
+};
+
+/**
+ * BandwidthManager: keeps each connection's outgoing camera video within
+ * what its network path can carry. It polls outbound stats per peer and
+ * moves along the current preset's ladder through
+ * `RTCRtpSender.setParameters()`: down straight away on loss, high RTT or
+ * when the encoder is bandwidth-limited well below the current level, back
+ * up only after the link has stayed healthy for a while.
+ *
+ * Shared screens are left at browser defaults, so text stays sharp: extra
+ * tracks are never touched, and while a screen replaces the camera on its
+ * sender (see `setCameraReplaced()`) the ladder is lifted and paused.
+ */
+export default class BandwidthManager {
+  constructor({ peerManager, preset = DEFAULT_QUALITY_PRESET }) {
+    this.peerManager = peerManager;
+    this.preset = QUALITY_PRESETS[preset] ? preset : DEFAULT_QUALITY_PRESET;
+    // userId -> { peer, level, appliedLevel, healthyPolls, previous }
+    this.states = {};
+    this.timer = null;
+    this.cameraReplaced = false;
+
+    this.handlePeerAdded = this.handlePeerAdded.bind(this);
+    this.handlePeerRemoved = this.handlePeerRemoved.bind(this);
+    this.unsubscribers = [
+      peerManager.on('peer-added', this.handlePeerAdded),
+      peerManager.on('peer-removed', this.handlePeerRemoved),
+    ];
+    peerManager
+      .getPeerIds()
+      .forEach((userId) =>
+        this.handlePeerAdded({ userId, peer: peerManager.getPeer(userId) })
+      );
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL);
+  }
+
+  destroy() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.states = {};
+  }
+
+  // Switches every connection to the top of another preset's ladder
+  setPreset(preset) {
+    if (!QUALITY_PRESETS[preset] || preset === this.preset) return;
+    this.preset = preset;
+    Object.values(this.states).forEach((state) => {
+      state.level = 0;
+      state.appliedLevel = null;
+      state.healthyPolls = 0;
+    });
+    this.poll();
+  }
+
+  /**
+   * Pauses adaptation while a shared screen takes the camera's place on the
+   * video sender, clearing the limits already set there, and starts again
+   * from the current level once the camera is back.
+   */
+  setCameraReplaced(replaced) {
+    if (replaced === this.cameraReplaced) return;
+    this.cameraReplaced = replaced;
+    Object.entries(this.states).forEach(([userId, state]) => {
+      state.appliedLevel = null;
+      state.healthyPolls = 0;
+      const sender = this.getVideoSender(state.peer);
+      if (replaced && sender) {
+        this.clearLevel(sender).catch((err) => {
+          console.error('Error clearing video limits for:', userId, err);
+        });
+      }
+    });
+  }
+
+  handlePeerAdded({ userId, peer }) {
+    // Also called for a rebuilt connection, which starts over at the top
+    this.states[userId] = {
+      peer,
+      level: 0,
+      appliedLevel: null,
+      healthyPolls: 0,
+      previous: null,
+    };
+  }
+
+  handlePeerRemoved({ userId }) {
+    delete this.states[userId];
+  }
+
+  // The sender carrying our camera (or its replacement) to `peer`
+  getVideoSender(peer) {
+    const extraTracks = this.peerManager.extraTracks.map((t) => t.track);
+    return peer
+      .getSenders()
+      .find((s) => s.track?.kind === 'video' && !extraTracks.includes(s.track));
+  }
+
+  poll() {
+    Object.keys(this.states).forEach((userId) => {
+      this.updatePeer(userId).catch((err) => {
+        console.error('Error adapting bitrate for:', userId, err);
+      });
+    });
+  }
+
+  async updatePeer(userId) {
+    const state = this.states[userId];
+    const sender = this.getVideoSender(state.peer);
+    if (!sender || this.cameraReplaced) return;
+
+    const levels = QUALITY_PRESETS[this.preset].levels;
+    const report = await sender.getStats();
+    if (this.states[userId] !== state || this.cameraReplaced) return;
+
+    const network = readNetworkStats(report, state.previous);
+    state.previous = network;
+
+    const current = levels[state.level];
+    // The estimate only grows with what is actually sent, so on its own a
+    // low value just means we are still ramping up
+    const congested =
+      (network.loss !== null && network.loss > HIGH_LOSS) ||
+      (network.rtt !== undefined && network.rtt > HIGH_RTT) ||
+      (network.bandwidthLimited &&
+        network.availableBitrate !== undefined &&
+        network.availableBitrate < current.maxBitrate * 0.8);
+    const healthy =
+      network.loss !== null &&
+      network.loss < LOW_LOSS &&
+      !network.bandwidthLimited &&
+      !congested;
+
+    if (congested && state.level < levels.length - 1) {
+      state.level += 1;
+      state.healthyPolls = 0;
+    } else if (healthy && state.level > 0) {
+      state.healthyPolls += 1;
+      if (state.healthyPolls >= POLLS_BEFORE_UPGRADE) {
+        state.level -= 1;
+        state.healthyPolls = 0;
+      }
+    } else {
+      state.healthyPolls = 0;
+    }
+
+    if (state.appliedLevel !== state.level) {
+      await this.applyLevel(sender, levels[state.level]);
+      console.log(
+        `Video quality for ${userId}: ${this.preset} level ${state.level}`
+      );
+      state.appliedLevel = state.level;
+    }
+  }
+
+  async applyLevel(sender, level) {
+    const parameters = sender.getParameters();
+    // Firefox reports no encodings until something has been set
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+      parameters.encodings = [{}];
+    }
+    parameters.encodings.forEach((encoding) => Object.assign(encoding, level));
+    await sender.setParameters(parameters);
+  }
+
+  // Removes what applyLevel() set, going back to browser defaults
+  async clearLevel(sender) {
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) return;
+    parameters.encodings.forEach((encoding) => {
+      delete encoding.maxBitrate;
+      delete encoding.maxFramerate;
+      encoding.scaleResolutionDownBy = 1;
+    });
+    await sender.setParameters(parameters);
+  }
+}
@@ -0,0 +1,109 @@
+import React from 'react';
+import { Download, Home, LogIn, PhoneOff } from 'lucide-react';
+
+// Why the call ended, when it was not our own choice
+const END_REASONS = {
+  removed: {
+    title: 'You were removed from the call',
+    detail: 'The host removed you from this room.',
+  },
+  locked: {
+    title: 'This room is locked',
+    detail: 'The host has locked the room, so nobody new can join.',
+  },
+};
+
+// "12 min 5 s" style duration
+const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours} h ${minutes} min`;
+  if (minutes > 0) return `${minutes} min ${seconds} s`;
+  return `${seconds} s`;
+};
+
+/**
+ * CallEnded Component: page shown after leaving a call, with how long it
+ * lasted, who took part and a way back into the room. `summary` is null
+ * when the page is opened directly (e.g. after a reload), in which case
+ * only the actions are shown; its `reason` says if the host made us leave.
+ */
+const CallEnded = ({
+  roomId,
+  summary,
+  recordingDownload,
+  onRejoin,
+  onHome,
+}) => {
+  const endReason = END_REASONS[summary?.reason];
+
+  return (
+    <div className="w-full max-w-md bg-gray-800 shadow-2xl rounded-xl p-6">
+      <div className="flex flex-col items-center gap-6 text-center">
+        <div className="w-14 h-14 rounded-full bg-red-600 flex items-center justify-center">
+          <PhoneOff size={28} />
+        </div>
+        <div>
+          <h1 className="text-2xl font-bold text-indigo-300 mb-1">
+            {endReason ? endReason.title : 'You left the call'}
+          </h1>
+          <p className="text-gray-400">
+            {endReason ? endReason.detail : `Room ${roomId}`}
+          </p>
+        </div>
+
+        {summary && summary.reason !== 'locked' && (
+          <div className="w-full bg-gray-700 rounded-lg p-4 text-left text-sm text-gray-300 flex flex-col gap-2">
+            <p>
+              Duration:{' '}
+              <span className="font-medium text-gray-100">
+                {formatDuration(summary.duration)}
+              </span>
+            </p>
+            <p>
+              {summary.participants.length > 0 ? (
+                <>
+                  With:{' '}
+                  <span className="font-medium text-gray-100">
+                    {summary.participants.join(', ')}
+                  </span>
+                </>
+              ) : (
+                'Nobody else joined'
+              )}
+            </p>
+          </div>
+        )}
+
+        {recordingDownload && (
+          <a
+            href={recordingDownload.url}
+            download={recordingDownload.filename}
+            className="text-indigo-400 hover:text-indigo-200 text-sm font-medium flex items-center gap-1"
+          >
+            <Download size={16} /> Save recording
+          </a>
+        )}
+
+        <div className="flex flex-col gap-3 w-full">
+          <button
+            onClick={onRejoin}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg transition duration-300 w-full font-medium shadow-md flex items-center justify-center gap-2"
+          >
+            <LogIn size={20} /> Rejoin
+          </button>
+          <button
+            onClick={onHome}
+            className="bg-gray-700 hover:bg-gray-600 text-white px-6 py-3 rounded-lg transition duration-300 w-full font-medium flex items-center justify-center gap-2"
+          >
+            <Home size={20} /> Back to home
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CallEnded;
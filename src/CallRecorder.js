@@ -0,0 +1,237 @@
+// Size and frame rate of the recorded video
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+const RECORDING_FRAME_RATE = 30;
+// Gap between tiles on the recording canvas, in pixels
+const TILE_GAP = 8;
+// How often MediaRecorder hands over data, so a crash loses little
+const RECORDER_TIMESLICE = 1000;
+
+// Containers to try, best first; the browser picks the codecs for the last
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+];
+
+export const isRecordingSupported = () =>
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+const pickMimeType = () =>
+  MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+
+// Rows and columns for `count` tiles, as close to square as possible
+const getGridSize = (count) => {
+  const columns = Math.ceil(Math.sqrt(count));
+  return { columns, rows: Math.ceil(count / columns) };
+};
+
+/**
+ * CallRecorder: records the call locally. Every tile is drawn onto a canvas
+ * in a grid, every audio track is mixed through a Web Audio graph, and the
+ * combined stream goes through `MediaRecorder` into a WebM file.
+ *
+ * The caller describes what to record through `getTiles()`, which is read on
+ * every frame so participants can come and go:
+ *   [{ stream, label, mirror, videoActive }]
+ * Audio is kept in sync separately with `setAudioStreams()`.
+ */
+export default class CallRecorder {
+  constructor({ getTiles }) {
+    this.getTiles = getTiles;
+    this.canvas = null;
+    this.context = null;
+    this.videos = new Map();
+    this.audioContext = null;
+    this.audioDestination = null;
+    this.audioSources = new Map();
+    this.recorder = null;
+    this.chunks = [];
+    this.timer = null;
+  }
+
+  get recording() {
+    return Boolean(this.recorder);
+  }
+
+  start() {
+    if (this.recorder) return;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = RECORDING_WIDTH;
+    this.canvas.height = RECORDING_HEIGHT;
+    this.context = this.canvas.getContext('2d');
+
+    this.audioContext = new AudioContext();
+    this.audioDestination = this.audioContext.createMediaStreamDestination();
+
+    const stream = new MediaStream([
+      ...this.canvas.captureStream(RECORDING_FRAME_RATE).getVideoTracks(),
+      ...this.audioDestination.stream.getAudioTracks(),
+    ]);
+    const mimeType = pickMimeType();
+    this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    this.chunks = [];
+    this.recorder.ondataavailable = ({ data }) => {
+      if (data.size > 0) this.chunks.push(data);
+    };
+
+    // A timer rather than requestAnimationFrame, which stops entirely while
+    // the tab is in the background
+    this.drawFrame();
+    this.timer = setInterval(
+      () => this.drawFrame(),
+      1000 / RECORDING_FRAME_RATE
+    );
+    this.recorder.start(RECORDER_TIMESLICE);
+  }
+
+  // Resolves with the finished WebM once the recorder has flushed
+  stop() {
+    const recorder = this.recorder;
+    if (!recorder) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        const blob = new Blob(this.chunks, {
+          type: recorder.mimeType || 'video/webm',
+        });
+        this.cleanup();
+        resolve(blob);
+      };
+      recorder.stop();
+    });
+  }
+
+  cleanup() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.recorder = null;
+    this.chunks = [];
+
+    this.videos.forEach((video) => {
+      video.srcObject = null;
+    });
+    this.videos.clear();
+    this.audioSources.forEach((source) => source.disconnect());
+    this.audioSources.clear();
+    this.audioContext?.close();
+    this.audioContext = null;
+    this.audioDestination = null;
+    this.canvas = null;
+    this.context = null;
+  }
+
+  /**
+   * Mixes the audio of exactly these streams into the recording: new tracks
+   * are connected and the ones no longer listed are dropped. Sources are kept
+   * per track, so a device switch that swaps a stream's track is picked up.
+   */
+  setAudioStreams(streams) {
+    if (!this.audioContext) return;
+
+    const tracks = streams
+      .filter(Boolean)
+      .flatMap((stream) => stream.getAudioTracks());
+    const ids = new Set(tracks.map((track) => track.id));
+
+    this.audioSources.forEach((source, id) => {
+      if (!ids.has(id)) {
+        source.disconnect();
+        this.audioSources.delete(id);
+      }
+    });
+    tracks.forEach((track) => {
+      if (this.audioSources.has(track.id)) return;
+      const source = this.audioContext.createMediaStreamSource(
+        new MediaStream([track])
+      );
+      source.connect(this.audioDestination);
+      this.audioSources.set(track.id, source);
+    });
+  }
+
+  // Off-screen <video> that decodes `stream` so it can be drawn
+  getVideo(stream) {
+    let video = this.videos.get(stream.id);
+    if (!video) {
+      video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = stream;
+      video.play().catch(() => {});
+      this.videos.set(stream.id, video);
+    }
+    return video;
+  }
+
+  drawFrame() {
+    const { context } = this;
+    if (!context) return;
+
+    const tiles = this.getTiles().filter((tile) => tile.stream);
+    context.fillStyle = '#111827';
+    context.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+
+    // Drop decoders for streams that are no longer on screen
+    const ids = new Set(tiles.map((tile) => tile.stream.id));
+    this.videos.forEach((video, id) => {
+      if (!ids.has(id)) {
+        video.srcObject = null;
+        this.videos.delete(id);
+      }
+    });
+    if (tiles.length === 0) return;
+
+    const { columns, rows } = getGridSize(tiles.length);
+    const width = (RECORDING_WIDTH - TILE_GAP * (columns + 1)) / columns;
+    const height = (RECORDING_HEIGHT - TILE_GAP * (rows + 1)) / rows;
+
+    tiles.forEach((tile, index) => {
+      const x = TILE_GAP + (index % columns) * (width + TILE_GAP);
+      const y = TILE_GAP + Math.floor(index / columns) * (height + TILE_GAP);
+      this.drawTile(tile, x, y, width, height);
+    });
+  }
+
+  drawTile({ stream, label, mirror, videoActive }, x, y, width, height) {
+    const { context } = this;
+    const video = this.getVideo(stream);
+
+    context.fillStyle = '#1f2937';
+    context.fillRect(x, y, width, height);
+
+    if (videoActive && video.videoWidth > 0) {
+      // Fit the whole frame inside the tile, keeping its aspect ratio
+      const scale = Math.min(
+        width / video.videoWidth,
+        height / video.videoHeight
+      );
+      const drawWidth = video.videoWidth * scale;
+      const drawHeight = video.videoHeight * scale;
+      const drawX = x + (width - drawWidth) / 2;
+      const drawY = y + (height - drawHeight) / 2;
+
+      context.save();
+      if (mirror) {
+        context.translate(drawX + drawWidth, drawY);
+        context.scale(-1, 1);
+        context.drawImage(video, 0, 0, drawWidth, drawHeight);
+      } else {
+        context.drawImage(video, drawX, drawY, drawWidth, drawHeight);
+      }
+      context.restore();
+    }
+
+    if (label) {
+      context.font = '16px sans-serif';
+      const textWidth = context.measureText(label).width;
+      context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      context.fillRect(x + 8, y + height - 32, textWidth + 16, 24);
+      context.fillStyle = '#ffffff';
+      context.fillText(label, x + 16, y + height - 14);
+    }
+  }
+}
@@ -0,0 +1,103 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { Send, X } from 'lucide-react';
+
+// Longest chat message we send or accept, in characters
+export const MAX_MESSAGE_LENGTH = 2000;
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * ChatPanel Component: side panel listing the room's chat messages with a
+ * composer at the bottom. Delivery is up to the caller via `onSend`.
+ */
+const ChatPanel = ({ messages, getSenderName, onSend, onClose }) => {
+  const [draft, setDraft] = useState('');
+  const listEndRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    listEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    onSend(text);
+    setDraft('');
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-gray-800 rounded-lg overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+        <p className="font-medium text-gray-200">Chat</p>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-200"
+          aria-label="Close chat"
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-3">
+        {messages.length === 0 && (
+          <p className="text-sm text-gray-500 text-center mt-4">
+            No messages yet
+          </p>
+        )}
+        {messages.map((message) => (
+          <div
+            key={message.id}
+            className={`flex flex-col max-w-[85%] ${
+              message.isLocal ? 'self-end items-end' : 'self-start items-start'
+            }`}
+          >
+            <p className="text-xs text-gray-400 mb-0.5">
+              {message.isLocal ? 'You' : getSenderName(message)} ·{' '}
+              {formatTime(message.timestamp)}
+            </p>
+            <p
+              className={`text-sm px-3 py-2 rounded-lg break-words whitespace-pre-wrap ${
+                message.isLocal
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-gray-700 text-gray-100'
+              }`}
+            >
+              {message.text}
+            </p>
+          </div>
+        ))}
+        <div ref={listEndRef} />
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="flex items-center gap-2 p-3 border-t border-gray-700"
+      >
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          placeholder="Send a message"
+          className="flex-1 border border-gray-600 rounded-lg px-3 py-2 bg-gray-700 text-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+        <button
+          type="submit"
+          disabled={!draft.trim()}
+          className="p-2 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white disabled:bg-gray-600 disabled:cursor-not-allowed"
+          aria-label="Send message"
+        >
+          <Send size={18} />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
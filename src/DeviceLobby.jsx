@@ -0,0 +1,252 @@
+import React, { useRef, useEffect, useState, useCallback } from 'react';
+import { Mic, MicOff, Video as VideoIcon, VideoOff, LogIn } from 'lucide-react';
+import DeviceSelect from './DeviceSelect';
+import {
+  listMediaDevices,
+  deviceConstraint,
+  getUserMediaWithFallback,
+} from './mediaDevices';
+import { useAudioLevel } from './audioLevel';
+
+// Falls back to the system default ('') when the chosen device disappears
+const pickDevice = (devices, currentId) =>
+  devices.some((d) => d.deviceId === currentId) ? currentId : '';
+
+/**
+ * DeviceLobby Component: pre-join screen with a live camera preview, a mic
+ * level meter and camera/microphone/speaker pickers. The selected devices and
+ * the "start muted"/"camera off" choices are handed to `onJoin`.
+ */
+const DeviceLobby = ({ roomId, actionLabel, onJoin, onCancel }) => {
+  const videoRef = useRef(null);
+  const [previewStream, setPreviewStream] = useState(null);
+
+  const [devices, setDevices] = useState({
+    audioInputs: [],
+    videoInputs: [],
+    audioOutputs: [],
+  });
+  const [audioDeviceId, setAudioDeviceId] = useState('');
+  const [videoDeviceId, setVideoDeviceId] = useState('');
+  const [audioOutputDeviceId, setAudioOutputDeviceId] = useState('');
+  const [startMuted, setStartMuted] = useState(false);
+  const [startVideoOff, setStartVideoOff] = useState(false);
+  const [error, setError] = useState('');
+
+  const refreshDevices = useCallback(async () => {
+    const next = await listMediaDevices();
+    setDevices(next);
+    setAudioDeviceId((id) => pickDevice(next.audioInputs, id));
+    setVideoDeviceId((id) => pickDevice(next.videoInputs, id));
+    setAudioOutputDeviceId((id) => pickDevice(next.audioOutputs, id));
+  }, []);
+
+  // Re-acquire the preview whenever a different input device is picked
+  useEffect(() => {
+    let cancelled = false;
+    let stream = null;
+
+    const startPreview = async () => {
+      try {
+        // Like joining, a camera or a mic alone is enough for the preview
+        stream = await getUserMediaWithFallback(
+          deviceConstraint(videoDeviceId),
+          deviceConstraint(audioDeviceId)
+        );
+        if (!stream) {
+          throw new Error('no camera or microphone is available');
+        }
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+
+        setPreviewStream(stream);
+        setError('');
+        // Device labels are only exposed once permission has been granted
+        await refreshDevices();
+      } catch (err) {
+        console.error('Error starting device preview:', err);
+        setError(`Could not access camera or microphone: ${err.message}`);
+      }
+    };
+
+    startPreview();
+
+    return () => {
+      cancelled = true;
+      if (stream) {
+        stream.getTracks().forEach((track) => track.stop());
+      }
+    };
+  }, [audioDeviceId, videoDeviceId, refreshDevices]);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = previewStream;
+    }
+  }, [previewStream]);
+
+  useEffect(() => {
+    navigator.mediaDevices.addEventListener('devicechange', refreshDevices);
+    return () => {
+      navigator.mediaDevices.removeEventListener(
+        'devicechange',
+        refreshDevices
+      );
+    };
+  }, [refreshDevices]);
+
+  // Mic level meter for the preview's audio track
+  const micLevel = useAudioLevel(previewStream);
+  const hasPreviewVideo = Boolean(previewStream?.getVideoTracks().length);
+  const hasPreviewAudio = Boolean(previewStream?.getAudioTracks().length);
+
+  const handleJoin = () => {
+    onJoin({
+      audioDeviceId,
+      videoDeviceId,
+      audioOutputDeviceId,
+      startMuted,
+      startVideoOff,
+    });
+  };
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 shadow-2xl rounded-xl p-6">
+      <div className="flex flex-col gap-6">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-indigo-300 mb-1">
+            Check your devices
+          </h1>
+          {roomId && (
+            <p className="text-gray-400 text-sm">Joining room {roomId}</p>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-900 border border-red-700 text-red-300 px-4 py-3 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="flex flex-col md:flex-row gap-6">
+          <div className="md:w-1/2 flex flex-col gap-3">
+            <div className="relative aspect-video rounded-lg overflow-hidden bg-gray-900 border-2 border-indigo-500">
+              <video
+                ref={videoRef}
+                autoPlay
+                playsInline
+                muted
+                style={{ transform: 'scaleX(-1)' }}
+                className={`w-full h-full object-cover transition-opacity duration-300 ${
+                  startVideoOff ? 'opacity-0' : 'opacity-100'
+                }`}
+              />
+              {startVideoOff && hasPreviewVideo && (
+                <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-sm">
+                  Camera will be off
+                </div>
+              )}
+              {previewStream && !hasPreviewVideo && (
+                <div className="absolute inset-0 flex items-center justify-center text-gray-400 text-sm">
+                  No camera available
+                </div>
+              )}
+            </div>
+
+            <div
+              className="flex items-center gap-2 text-gray-300"
+              title={
+                previewStream && !hasPreviewAudio
+                  ? 'No microphone available'
+                  : undefined
+              }
+            >
+              {hasPreviewAudio || !previewStream ? (
+                <Mic size={16} />
+              ) : (
+                <MicOff size={16} className="text-red-400" />
+              )}
+              <div className="flex-1 h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-green-500 transition-[width] duration-75"
+                  style={{ width: `${Math.round(micLevel * 100)}%` }}
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-center gap-4">
+              <button
+                onClick={() => setStartMuted((prev) => !prev)}
+                className={`p-3 rounded-full transition-colors duration-200 ease-in-out ${
+                  startMuted
+                    ? 'bg-red-500 text-white hover:bg-red-600'
+                    : 'bg-gray-700 hover:bg-gray-600 text-white'
+                }`}
+                title={startMuted ? 'Join unmuted' : 'Join muted'}
+              >
+                {startMuted ? <MicOff size={20} /> : <Mic size={20} />}
+              </button>
+              <button
+                onClick={() => setStartVideoOff((prev) => !prev)}
+                className={`p-3 rounded-full transition-colors duration-200 ease-in-out ${
+                  startVideoOff
+                    ? 'bg-red-500 text-white hover:bg-red-600'
+                    : 'bg-gray-700 hover:bg-gray-600 text-white'
+                }`}
+                title={
+                  startVideoOff ? 'Join with camera on' : 'Join with camera off'
+                }
+              >
+                {startVideoOff ? (
+                  <VideoOff size={20} />
+                ) : (
+                  <VideoIcon size={20} />
+                )}
+              </button>
+            </div>
+          </div>
+
+          <div className="md:w-1/2 flex flex-col gap-4">
+            <DeviceSelect
+              label="Camera"
+              value={videoDeviceId}
+              onChange={setVideoDeviceId}
+              devices={devices.videoInputs}
+            />
+            <DeviceSelect
+              label="Microphone"
+              value={audioDeviceId}
+              onChange={setAudioDeviceId}
+              devices={devices.audioInputs}
+            />
+            <DeviceSelect
+              label="Speaker"
+              value={audioOutputDeviceId}
+              onChange={setAudioOutputDeviceId}
+              devices={devices.audioOutputs}
+            />
+          </div>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            onClick={onCancel}
+            className="flex-1 bg-gray-700 hover:bg-gray-600 text-white px-6 py-3 rounded-lg transition duration-300 font-medium"
+          >
+            Back
+          </button>
+          <button
+            onClick={handleJoin}
+            className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-lg transition duration-300 font-medium shadow-md flex items-center justify-center gap-2"
+          >
+            <LogIn size={20} /> {actionLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceLobby;
@@ -0,0 +1,28 @@
+import React from 'react';
+
+/**
+ * DeviceSelect Component: labelled dropdown for one kind of media device.
+ * The empty value stands for the system default device.
+ */
+const DeviceSelect = ({ label, value, onChange, devices }) => (
+  <label className="flex flex-col gap-1 text-sm text-gray-300 w-full">
+    {label}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={devices.length === 0}
+      className="border border-gray-600 rounded-lg px-3 py-2 bg-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+    >
+      <option value="">
+        {devices.length === 0 ? 'Not available' : 'System default'}
+      </option>
+      {devices.map((device, index) => (
+        <option key={device.deviceId} value={device.deviceId}>
+          {device.label || `${label} ${index + 1}`}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+export default DeviceSelect;
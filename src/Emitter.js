@@ -0,0 +1,31 @@
+// Random unique ID, e.g. for chat messages and file transfers
+export const createId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Emitter: minimal event emitter the managers extend. `on` returns a
+ * function that removes the listener again.
+ */
+export default class Emitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = new Set();
+    }
+    this.listeners[event].add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this.listeners[event]?.delete(listener);
+  }
+
+  emit(event, payload) {
+    this.listeners[event]?.forEach((listener) => listener(payload));
+  }
+}
@@ -0,0 +1,617 @@
+import Emitter, { createId } from './Emitter';
+
+// Label of the PeerManager data channel that carries file transfers
+const FILE_CHANNEL = 'file';
+
+// Bytes per binary message; 16 KiB is safe across browser SCTP stacks
+const CHUNK_SIZE = 16 * 1024;
+// Stop queueing chunks once this much is waiting in the channel buffer...
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+// ...and carry on when it has drained below this
+const BUFFERED_AMOUNT_LOW_THRESHOLD = 256 * 1024;
+// Progress is reported at most once per this many bytes
+const PROGRESS_STEP = 256 * 1024;
+// Longest transfer ID and file name we accept in an offer
+const MAX_ID_LENGTH = 100;
+const MAX_NAME_LENGTH = 255;
+
+// Transfers in these states are over and can be dismissed
+export const FINISHED_STATUSES = [
+  'complete',
+  'declined',
+  'cancelled',
+  'failed',
+];
+
+// Offer rebuilt from what a peer sent, keeping only fields of the expected
+// types; null when it cannot describe a file we could receive
+const parseOffer = ({ id, name, size, mimeType }) => {
+  if (
+    typeof id !== 'string' ||
+    !id ||
+    id.length > MAX_ID_LENGTH ||
+    typeof name !== 'string' ||
+    !name.trim() ||
+    !Number.isSafeInteger(size) ||
+    size < 0
+  ) {
+    return null;
+  }
+  return {
+    id,
+    name: name.slice(0, MAX_NAME_LENGTH),
+    size,
+    mimeType:
+      typeof mimeType === 'string' && mimeType
+        ? mimeType.slice(0, MAX_NAME_LENGTH)
+        : 'application/octet-stream',
+  };
+};
+
+// Hex-encoded SHA-256 of a Blob
+const hashBlob = async (blob) => {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    await blob.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+};
+
+// First `length` bytes of a list of ArrayBuffers
+const truncateChunks = (chunks, length) => {
+  const kept = [];
+  let total = 0;
+  for (const chunk of chunks) {
+    if (total >= length) break;
+    const take = Math.min(chunk.byteLength, length - total);
+    kept.push(take === chunk.byteLength ? chunk : chunk.slice(0, take));
+    total += take;
+  }
+  return kept;
+};
+
+// Resolves once the channel buffer has drained or the channel has closed
+const waitForBufferedAmountLow = (channel) =>
+  new Promise((resolve) => {
+    const done = () => {
+      channel.removeEventListener('bufferedamountlow', done);
+      channel.removeEventListener('close', done);
+      resolve();
+    };
+    channel.addEventListener('bufferedamountlow', done);
+    channel.addEventListener('close', done);
+  });
+
+/**
+ * FileTransferManager: sends files to and receives files from the other
+ * participants over the PeerManager's 'file' data channel.
+ *
+ * Control messages are JSON strings and file contents are binary chunks:
+ *   sender   -> { type: 'offer', id, name, size, mimeType }
+ *   receiver -> { type: 'accept', id, offset } or { type: 'decline', id }
+ *   sender   -> { type: 'start', id, offset }, chunks..., { type: 'end', id, hash }
+ *   receiver -> { type: 'verified', id, ok }
+ *   either   -> { type: 'cancel', id }
+ * Each peer only has one file streaming towards it at a time, so chunks
+ * belong to the transfer named by the last 'start'.
+ *
+ * When the channel goes down mid-transfer (a rebuilt connection gets new
+ * channels) the transfer is marked interrupted. Once a channel opens again
+ * the receiver sends 'accept' with the bytes it already has and the sender
+ * picks up from there; offers that were never answered are sent again.
+ *
+ * Consumers subscribe to 'change', which carries a snapshot of every
+ * transfer: { id, direction, userId, name, size, mimeType,
+ * bytesTransferred, status, url, error }.
+ */
+export default class FileTransferManager extends Emitter {
+  constructor({ peerManager }) {
+    super();
+    this.peerManager = peerManager;
+    this.transfers = {};
+    // userId -> ID of the transfer currently streaming to/from that peer
+    this.sending = {};
+    this.receiving = {};
+
+    this.handleData = this.handleData.bind(this);
+    this.handleChannelOpen = this.handleChannelOpen.bind(this);
+    this.handleChannelClose = this.handleChannelClose.bind(this);
+    this.handlePeerRemoved = this.handlePeerRemoved.bind(this);
+
+    this.unsubscribers = [
+      peerManager.on('data', this.handleData),
+      peerManager.on('channel-open', this.handleChannelOpen),
+      peerManager.on('channel-close', this.handleChannelClose),
+      peerManager.on('peer-removed', this.handlePeerRemoved),
+    ];
+  }
+
+  emitChange() {
+    this.emit('change', this.getTransfers());
+  }
+
+  // --- Transfers ---
+
+  getTransfers() {
+    return Object.values(this.transfers).map((transfer) => ({
+      id: transfer.id,
+      direction: transfer.direction,
+      userId: transfer.userId,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+      bytesTransferred: transfer.bytesTransferred,
+      status: transfer.status,
+      url: transfer.url || null,
+      error: transfer.error || null,
+    }));
+  }
+
+  update(transfer, changes) {
+    Object.assign(transfer, changes);
+    this.emitChange();
+  }
+
+  // Sends a control message; false when the channel is not open
+  sendMessage(userId, message) {
+    const channel = this.peerManager.getChannel(userId, FILE_CHANNEL);
+    if (!channel || channel.readyState !== 'open') return false;
+    channel.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Offers `file` to every participant currently in the call. Peers whose
+   * channel is not open yet receive the offer as soon as it opens.
+   */
+  sendFile(file) {
+    // Shared by the copies sent to each peer; hashed once somebody accepts
+    const source = { file, hash: null };
+    this.peerManager.getPeerIds().forEach((userId) => {
+      const transfer = {
+        id: createId(),
+        direction: 'outgoing',
+        userId,
+        name: file.name,
+        size: file.size,
+        mimeType: file.type,
+        bytesTransferred: 0,
+        status: 'offered',
+        file,
+        source,
+        offset: 0,
+        generation: 0,
+      };
+      this.transfers[transfer.id] = transfer;
+      this.sendOffer(transfer);
+    });
+    this.emitChange();
+  }
+
+  sendOffer(transfer) {
+    this.sendMessage(transfer.userId, {
+      type: 'offer',
+      id: transfer.id,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+    });
+  }
+
+  accept(id) {
+    const transfer = this.transfers[id];
+    if (!transfer || transfer.status !== 'offered') return;
+
+    this.update(transfer, { status: 'transferring' });
+    this.sendMessage(transfer.userId, { type: 'accept', id, offset: 0 });
+  }
+
+  decline(id) {
+    const transfer = this.transfers[id];
+    if (!transfer || transfer.status !== 'offered') return;
+
+    this.update(transfer, { status: 'declined' });
+    this.sendMessage(transfer.userId, { type: 'decline', id });
+  }
+
+  cancel(id) {
+    const transfer = this.transfers[id];
+    if (!transfer || FINISHED_STATUSES.includes(transfer.status)) return;
+
+    this.sendMessage(transfer.userId, { type: 'cancel', id });
+    this.finish(transfer, { status: 'cancelled' });
+  }
+
+  // Forgets a finished transfer and releases its download
+  dismiss(id) {
+    const transfer = this.transfers[id];
+    if (!transfer || !FINISHED_STATUSES.includes(transfer.status)) return;
+
+    if (transfer.url) URL.revokeObjectURL(transfer.url);
+    delete this.transfers[id];
+    this.emitChange();
+  }
+
+  // Ends a transfer and lets the next one to the same peer start
+  finish(transfer, changes) {
+    transfer.generation += 1;
+    transfer.chunks = null;
+    this.update(transfer, changes);
+
+    if (this.receiving[transfer.userId] === transfer.id) {
+      delete this.receiving[transfer.userId];
+    }
+    if (this.sending[transfer.userId] === transfer.id) {
+      delete this.sending[transfer.userId];
+      this.sendNext(transfer.userId);
+    }
+  }
+
+  // Stops every transfer and forgets them, e.g. when leaving the room
+  clear() {
+    Object.values(this.transfers).forEach((transfer) => {
+      transfer.generation += 1;
+      if (transfer.url) URL.revokeObjectURL(transfer.url);
+    });
+    this.transfers = {};
+    this.sending = {};
+    this.receiving = {};
+    this.emitChange();
+  }
+
+  destroy() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.clear();
+  }
+
+  // --- Sending ---
+
+  // Starts the next accepted transfer waiting for `userId`, if any
+  sendNext(userId) {
+    if (this.sending[userId]) return;
+    const next = Object.values(this.transfers).find(
+      (t) =>
+        t.direction === 'outgoing' &&
+        t.userId === userId &&
+        t.status === 'queued'
+    );
+    if (next) this.pump(next);
+  }
+
+  async pump(transfer) {
+    const { userId } = transfer;
+    const generation = ++transfer.generation;
+    const isCurrent = () => transfer.generation === generation;
+
+    this.sending[userId] = transfer.id;
+    this.update(transfer, {
+      status: 'transferring',
+      bytesTransferred: transfer.offset,
+    });
+    if (
+      !this.sendMessage(userId, {
+        type: 'start',
+        id: transfer.id,
+        offset: transfer.offset,
+      })
+    ) {
+      this.interrupt(transfer);
+      return;
+    }
+
+    const channel = this.peerManager.getChannel(userId, FILE_CHANNEL);
+    channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW_THRESHOLD;
+    let reported = transfer.offset;
+
+    try {
+      while (transfer.offset < transfer.size) {
+        if (channel.readyState !== 'open') {
+          if (isCurrent()) this.interrupt(transfer);
+          return;
+        }
+        if (channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+          await waitForBufferedAmountLow(channel);
+          if (!isCurrent()) return;
+          continue;
+        }
+
+        const chunk = await transfer.file
+          .slice(transfer.offset, transfer.offset + CHUNK_SIZE)
+          .arrayBuffer();
+        if (!isCurrent()) return;
+        channel.send(chunk);
+        transfer.offset += chunk.byteLength;
+
+        if (
+          transfer.offset - reported >= PROGRESS_STEP ||
+          transfer.offset === transfer.size
+        ) {
+          reported = transfer.offset;
+          this.update(transfer, { bytesTransferred: transfer.offset });
+        }
+      }
+
+      let hash;
+      try {
+        hash = await transfer.source.hash;
+      } catch (err) {
+        console.error('Error hashing file:', err);
+        if (!isCurrent()) return;
+        this.sendMessage(userId, { type: 'cancel', id: transfer.id });
+        this.finish(transfer, {
+          status: 'failed',
+          error: 'File could not be read',
+        });
+        return;
+      }
+      if (!isCurrent()) return;
+      channel.send(JSON.stringify({ type: 'end', id: transfer.id, hash }));
+      // The receiver verifies on its own; the next file can go out meanwhile
+      this.update(transfer, { status: 'verifying' });
+      delete this.sending[userId];
+      this.sendNext(userId);
+    } catch (err) {
+      console.error('Error sending file:', err);
+      if (isCurrent()) this.interrupt(transfer);
+    }
+  }
+
+  // Starts hashing the file unless a transfer of the same file already did
+  hashSource(transfer) {
+    const { source } = transfer;
+    if (source.hash) return;
+    source.hash = hashBlob(source.file);
+    // A failure is reported by pump() once it needs the hash
+    source.hash.catch(() => {});
+  }
+
+  // The channel went away; wait for the receiver to ask us to resume
+  interrupt(transfer) {
+    transfer.generation += 1;
+    if (this.sending[transfer.userId] === transfer.id) {
+      delete this.sending[transfer.userId];
+    }
+    this.update(transfer, { status: 'interrupted' });
+  }
+
+  // --- Channel events ---
+
+  handleChannelOpen({ userId, label }) {
+    if (label !== FILE_CHANNEL) return;
+
+    Object.values(this.transfers).forEach((transfer) => {
+      if (transfer.userId !== userId) return;
+
+      if (transfer.direction === 'outgoing' && transfer.status === 'offered') {
+        this.sendOffer(transfer);
+      } else if (
+        transfer.direction === 'incoming' &&
+        (transfer.status === 'transferring' ||
+          transfer.status === 'interrupted')
+      ) {
+        this.update(transfer, { status: 'transferring' });
+        this.sendMessage(userId, {
+          type: 'accept',
+          id: transfer.id,
+          offset: transfer.bytesTransferred,
+        });
+      }
+    });
+  }
+
+  handleChannelClose({ userId, label }) {
+    if (label !== FILE_CHANNEL) return;
+
+    Object.values(this.transfers).forEach((transfer) => {
+      if (transfer.userId !== userId) return;
+      if (transfer.status === 'transferring') {
+        if (transfer.direction === 'outgoing') {
+          this.interrupt(transfer);
+        } else {
+          this.update(transfer, { status: 'interrupted' });
+        }
+      }
+    });
+    delete this.receiving[userId];
+  }
+
+  handlePeerRemoved({ userId }) {
+    Object.values(this.transfers).forEach((transfer) => {
+      if (
+        transfer.userId === userId &&
+        !FINISHED_STATUSES.includes(transfer.status)
+      ) {
+        this.finish(transfer, {
+          status: 'failed',
+          error: 'Participant left the call',
+        });
+      }
+    });
+  }
+
+  handleData({ userId, label, data }) {
+    if (label !== FILE_CHANNEL) return;
+
+    if (typeof data !== 'string') {
+      this.handleChunk(userId, data);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      console.error('Invalid file transfer message from:', userId, err);
+      return;
+    }
+
+    const transfer = this.transfers[message.id];
+    // Only the peer on the other end of a transfer may act on it
+    if (transfer && transfer.userId !== userId) return;
+
+    switch (message.type) {
+      case 'offer':
+        this.handleOffer(userId, message, transfer);
+        break;
+      case 'accept':
+        this.handleAccept(transfer, message.offset);
+        break;
+      case 'decline':
+        if (transfer?.status === 'offered') {
+          this.update(transfer, { status: 'declined' });
+        }
+        break;
+      case 'start':
+        this.handleStart(transfer, message.offset);
+        break;
+      case 'end':
+        this.handleEnd(transfer, message.hash);
+        break;
+      case 'verified':
+        if (transfer?.status === 'verifying') {
+          this.finish(
+            transfer,
+            message.ok
+              ? { status: 'complete' }
+              : { status: 'failed', error: 'Integrity check failed' }
+          );
+        }
+        break;
+      case 'cancel':
+        if (transfer && !FINISHED_STATUSES.includes(transfer.status)) {
+          this.finish(transfer, { status: 'cancelled' });
+        }
+        break;
+      default:
+        console.warn('Unknown file transfer message:', message.type);
+    }
+  }
+
+  // --- Receiving ---
+
+  handleOffer(userId, message, existing) {
+    const offer = parseOffer(message);
+    if (!offer) {
+      console.warn('Ignoring invalid file offer from:', userId);
+      return;
+    }
+    const { id, name, size, mimeType } = offer;
+
+    // A repeated offer means the sender never saw our answer. An accepted
+    // transfer is already re-requested when the channel opens.
+    if (existing) {
+      if (existing.status === 'declined') {
+        this.sendMessage(userId, { type: 'decline', id });
+      }
+      return;
+    }
+
+    this.transfers[id] = {
+      id,
+      direction: 'incoming',
+      userId,
+      name,
+      size,
+      mimeType,
+      bytesTransferred: 0,
+      status: 'offered',
+      chunks: [],
+      generation: 0,
+    };
+    this.emitChange();
+  }
+
+  handleAccept(transfer, offset = 0) {
+    if (!transfer || transfer.direction !== 'outgoing') return;
+    if (FINISHED_STATUSES.includes(transfer.status)) return;
+
+    this.hashSource(transfer);
+    transfer.offset = Math.min(Math.max(0, offset), transfer.size);
+    const current = this.sending[transfer.userId];
+    if (current && current !== transfer.id) {
+      this.update(transfer, { status: 'queued' });
+    } else {
+      // Also restarts a transfer that is already streaming from `offset`
+      this.pump(transfer);
+    }
+  }
+
+  handleStart(transfer, offset) {
+    if (!transfer || transfer.direction !== 'incoming') return;
+    if (FINISHED_STATUSES.includes(transfer.status)) return;
+
+    // Chunks we got past `offset` may have been cut short; drop them
+    if (offset < transfer.bytesTransferred) {
+      transfer.chunks = truncateChunks(transfer.chunks, offset);
+      transfer.bytesTransferred = offset;
+    }
+    if (offset !== transfer.bytesTransferred) {
+      this.sendMessage(transfer.userId, { type: 'cancel', id: transfer.id });
+      this.finish(transfer, {
+        status: 'failed',
+        error: 'Transfer could not be resumed',
+      });
+      return;
+    }
+    this.receiving[transfer.userId] = transfer.id;
+    this.update(transfer, { status: 'transferring' });
+  }
+
+  handleChunk(userId, chunk) {
+    const transfer = this.transfers[this.receiving[userId]];
+    if (!transfer || transfer.status !== 'transferring') return;
+
+    const previous = transfer.bytesTransferred;
+    const received = previous + chunk.byteLength;
+    if (received > transfer.size) {
+      this.sendMessage(userId, { type: 'cancel', id: transfer.id });
+      this.finish(transfer, {
+        status: 'failed',
+        error: 'Received more data than expected',
+      });
+      return;
+    }
+
+    transfer.chunks.push(chunk);
+    transfer.bytesTransferred = received;
+    if (
+      Math.floor(received / PROGRESS_STEP) >
+        Math.floor(previous / PROGRESS_STEP) ||
+      received === transfer.size
+    ) {
+      this.emitChange();
+    }
+  }
+
+  async handleEnd(transfer, expectedHash) {
+    if (!transfer || transfer.direction !== 'incoming') return;
+    if (transfer.status !== 'transferring') return;
+
+    const generation = transfer.generation;
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+    this.update(transfer, { status: 'verifying' });
+
+    let ok = false;
+    try {
+      ok =
+        blob.size === transfer.size && (await hashBlob(blob)) === expectedHash;
+    } catch (err) {
+      console.error('Error verifying file:', err);
+    }
+    if (transfer.generation !== generation) return;
+
+    this.sendMessage(transfer.userId, {
+      type: 'verified',
+      id: transfer.id,
+      ok,
+    });
+    this.finish(
+      transfer,
+      ok
+        ? { status: 'complete', url: URL.createObjectURL(blob) }
+        : { status: 'failed', error: 'Integrity check failed' }
+    );
+  }
+}
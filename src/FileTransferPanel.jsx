@@ -0,0 +1,126 @@
+import React from 'react';
+import { Download, FileText, X } from 'lucide-react';
+import { FINISHED_STATUSES } from './FileTransferManager';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const STATUS_LABELS = {
+  offered: 'Waiting for a response',
+  queued: 'Queued',
+  transferring: 'Transferring',
+  interrupted: 'Connection lost, will resume',
+  verifying: 'Verifying',
+  complete: 'Complete',
+  declined: 'Declined',
+  cancelled: 'Cancelled',
+  failed: 'Failed',
+};
+
+/**
+ * FileTransferPanel Component: one card per file being sent or received,
+ * with accept/decline for incoming offers, a progress bar while the file is
+ * on its way and a download link once it has arrived and been verified.
+ */
+const FileTransferPanel = ({
+  transfers,
+  getUserName,
+  onAccept,
+  onDecline,
+  onCancel,
+  onDismiss,
+}) => {
+  if (transfers.length === 0) return null;
+
+  return (
+    <div className="flex flex-col gap-2 w-72 max-h-full overflow-y-auto">
+      {transfers.map((transfer) => {
+        const incoming = transfer.direction === 'incoming';
+        const finished = FINISHED_STATUSES.includes(transfer.status);
+        const progress =
+          transfer.size > 0 ? transfer.bytesTransferred / transfer.size : 1;
+
+        return (
+          <div
+            key={transfer.id}
+            className="bg-gray-800 bg-opacity-95 rounded-lg shadow-lg p-3 text-sm"
+          >
+            <div className="flex items-start gap-2">
+              <FileText size={18} className="text-indigo-300 mt-0.5" />
+              <div className="flex-1 min-w-0">
+                <p className="text-gray-100 truncate" title={transfer.name}>
+                  {transfer.name}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {incoming ? 'From' : 'To'} {getUserName(transfer.userId)} ·{' '}
+                  {formatBytes(transfer.size)}
+                </p>
+              </div>
+              <button
+                onClick={() =>
+                  finished ? onDismiss(transfer.id) : onCancel(transfer.id)
+                }
+                className="text-gray-400 hover:text-gray-200"
+                aria-label={finished ? 'Dismiss' : 'Cancel transfer'}
+                title={finished ? 'Dismiss' : 'Cancel transfer'}
+              >
+                <X size={16} />
+              </button>
+            </div>
+
+            {!finished && transfer.status !== 'offered' && (
+              <div className="mt-2 h-1.5 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-500 transition-[width] duration-200"
+                  style={{ width: `${Math.round(progress * 100)}%` }}
+                />
+              </div>
+            )}
+
+            <p
+              className={`mt-1 text-xs ${
+                transfer.status === 'failed' ? 'text-red-400' : 'text-gray-400'
+              }`}
+            >
+              {transfer.error || STATUS_LABELS[transfer.status]}
+              {transfer.status === 'transferring' &&
+                ` · ${Math.round(progress * 100)}%`}
+            </p>
+
+            {incoming && transfer.status === 'offered' && (
+              <div className="mt-2 flex gap-2">
+                <button
+                  onClick={() => onAccept(transfer.id)}
+                  className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-1.5 rounded-md"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => onDecline(transfer.id)}
+                  className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-1.5 rounded-md"
+                >
+                  Decline
+                </button>
+              </div>
+            )}
+
+            {transfer.url && (
+              <a
+                href={transfer.url}
+                download={transfer.name}
+                className="mt-2 flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 text-white py-1.5 rounded-md"
+              >
+                <Download size={16} /> Save file
+              </a>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FileTransferPanel;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Check, DoorOpen, X } from 'lucide-react';
+import Avatar from './Avatar';
+
+/**
+ * JoinRequests Component: the host's notifications for people knocking on
+ * the waiting room, each with Admit and Deny. The answer goes back through
+ * `onAnswer(userId, admitted)`.
+ */
+const JoinRequests = ({ requests, onAnswer }) => (
+  <div className="flex flex-col items-end gap-2">
+    {requests.map((request) => (
+      <div
+        key={request.userId}
+        className="flex items-center gap-3 bg-gray-800 bg-opacity-95 border border-indigo-500 text-sm text-gray-100 pl-3 pr-2 py-2 rounded-lg shadow-lg"
+      >
+        <Avatar
+          name={request.name}
+          picture={request.picture}
+          className="w-8 h-8 text-sm"
+        />
+        <p className="flex items-center gap-1">
+          <DoorOpen size={14} className="text-indigo-300" />
+          <span className="font-medium">{request.name}</span> wants to join
+        </p>
+        <button
+          onClick={() => onAnswer(request.userId, true)}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-2.5 py-1 rounded-md flex items-center gap-1"
+        >
+          <Check size={14} /> Admit
+        </button>
+        <button
+          onClick={() => onAnswer(request.userId, false)}
+          className="bg-gray-700 hover:bg-gray-600 text-white px-2.5 py-1 rounded-md flex items-center gap-1"
+        >
+          <X size={14} /> Deny
+        </button>
+      </div>
+    ))}
+  </div>
+);
+
+export default JoinRequests;
@@ -0,0 +1,165 @@
+import React from 'react';
+import {
+  Crown,
+  DoorOpen,
+  Lock,
+  LockOpen,
+  Mic,
+  MicOff,
+  UserX,
+  Video as VideoIcon,
+  VideoOff,
+  X,
+} from 'lucide-react';
+import Avatar from './Avatar';
+
+const actionClasses =
+  'p-1.5 rounded-md text-gray-300 hover:text-white hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent';
+
+/**
+ * ParticipantsPanel Component: side panel listing everyone in the call with
+ * their mic/camera state. For the host each remote participant gets
+ * mute, camera off, make host and remove actions, plus room lock and
+ * waiting room toggles. What the actions do is up to the caller.
+ */
+const ParticipantsPanel = ({
+  participants,
+  isHost,
+  isLocked,
+  isWaitingRoomEnabled,
+  onMute,
+  onDisableCamera,
+  onMakeHost,
+  onRemove,
+  onToggleLock,
+  onToggleWaitingRoom,
+  onClose,
+}) => (
+  <div className="flex flex-col h-full bg-gray-800 rounded-lg overflow-hidden">
+    <div className="flex items-center justify-between px-4 py-3 border-b border-gray-700">
+      <p className="font-medium text-gray-200">
+        Participants ({participants.length})
+      </p>
+      <button
+        onClick={onClose}
+        className="text-gray-400 hover:text-gray-200"
+        aria-label="Close participants"
+      >
+        <X size={18} />
+      </button>
+    </div>
+
+    {isHost ? (
+      <button
+        onClick={onToggleLock}
+        className={`mx-4 mt-3 px-3 py-2 rounded-lg text-sm font-medium flex items-center justify-center gap-2 transition-colors ${
+          isLocked
+            ? 'bg-yellow-700 hover:bg-yellow-800 text-white'
+            : 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+        }`}
+      >
+        {isLocked ? <Lock size={16} /> : <LockOpen size={16} />}
+        {isLocked ? 'Room locked: unlock' : 'Lock room'}
+      </button>
+    ) : (
+      isLocked && (
+        <p className="mx-4 mt-3 text-xs text-yellow-300 flex items-center gap-1">
+          <Lock size={12} /> The host has locked this room
+        </p>
+      )
+    )}
+    {isHost ? (
+      <label className="mx-4 mt-3 flex items-center gap-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={isWaitingRoomEnabled}
+          onChange={onToggleWaitingRoom}
+          className="accent-indigo-500"
+        />
+        Waiting room: admit people one by one
+      </label>
+    ) : (
+      isWaitingRoomEnabled && (
+        <p className="mx-4 mt-3 text-xs text-gray-400 flex items-center gap-1">
+          <DoorOpen size={12} /> The host lets new people in one by one
+        </p>
+      )
+    )}
+
+    <ul className="flex-1 overflow-y-auto px-4 py-3 flex flex-col gap-2">
+      {participants.map((participant) => (
+        <li
+          key={participant.id}
+          className="flex items-center gap-3 bg-gray-700 bg-opacity-50 rounded-lg px-3 py-2"
+        >
+          <Avatar
+            name={participant.name}
+            picture={participant.picture}
+            className="w-8 h-8 text-sm"
+          />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-gray-100 truncate flex items-center gap-1">
+              {participant.isSelf ? 'You' : participant.name}
+              {participant.isHost && (
+                <Crown
+                  size={12}
+                  className="text-yellow-400 flex-shrink-0"
+                  aria-label="Host"
+                />
+              )}
+            </p>
+            <p className="text-xs text-gray-400 flex items-center gap-1.5">
+              {participant.audioActive ? (
+                <Mic size={12} />
+              ) : (
+                <MicOff size={12} className="text-red-400" />
+              )}
+              {participant.videoActive ? (
+                <VideoIcon size={12} />
+              ) : (
+                <VideoOff size={12} className="text-red-400" />
+              )}
+            </p>
+          </div>
+
+          {isHost && !participant.isSelf && (
+            <div className="flex items-center">
+              <button
+                onClick={() => onMute(participant.id)}
+                disabled={!participant.audioActive}
+                className={actionClasses}
+                title="Mute"
+              >
+                <MicOff size={16} />
+              </button>
+              <button
+                onClick={() => onDisableCamera(participant.id)}
+                disabled={!participant.videoActive}
+                className={actionClasses}
+                title="Turn off camera"
+              >
+                <VideoOff size={16} />
+              </button>
+              <button
+                onClick={() => onMakeHost(participant.id)}
+                className={actionClasses}
+                title="Make host"
+              >
+                <Crown size={16} />
+              </button>
+              <button
+                onClick={() => onRemove(participant.id)}
+                className={`${actionClasses} hover:text-red-400`}
+                title="Remove from the call"
+              >
+                <UserX size={16} />
+              </button>
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default ParticipantsPanel;
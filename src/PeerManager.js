@@ -0,0 +1,605 @@
+import Emitter from './Emitter';
+import {
+  DEFAULT_CODEC_SETTINGS,
+  getPreferredCodecs,
+  mungeOpusSdp,
+} from './codecs';
+
+// Default public STUN server used when no TURN credentials are configured
+const DEFAULT_STUN_URL = 'stun:stun.l.google.com:19302';
+
+// Longest we hold back an offer/answer waiting for gathering when not trickling
+const ICE_GATHERING_TIMEOUT = 5000;
+
+// Time a 'disconnected' connection gets to recover before we restart ICE
+const DISCONNECT_GRACE_PERIOD = 3000;
+// Delay before re-checking a restart; doubles after every failed attempt
+const RESTART_BASE_DELAY = 2000;
+// ICE restarts to try before the connection is rebuilt from scratch
+const MAX_ICE_RESTARTS = 3;
+
+// Data channels opened on every connection, by label. They are negotiated
+// with fixed IDs, so both sides create them and no 'datachannel' event or
+// extra offer is involved.
+const DATA_CHANNELS = { chat: 0, file: 1 };
+
+// Resolves once the peer has gathered all its candidates (or after a timeout)
+const waitForIceGathering = (peer, timeout = ICE_GATHERING_TIMEOUT) =>
+  new Promise((resolve) => {
+    if (peer.iceGatheringState === 'complete') {
+      resolve();
+      return;
+    }
+
+    const done = () => {
+      clearTimeout(timer);
+      peer.removeEventListener('icegatheringstatechange', onChange);
+      resolve();
+    };
+    const onChange = () => {
+      if (peer.iceGatheringState === 'complete') done();
+    };
+    const timer = setTimeout(done, timeout);
+    peer.addEventListener('icegatheringstatechange', onChange);
+  });
+
+/**
+ * Builds the ICE server list for every peer connection in the room.
+ * A TURN entry is only added when a server, username and password are all set.
+ */
+export const buildIceServers = ({ turnServer, username, credential } = {}) => {
+  const iceServers = [{ urls: DEFAULT_STUN_URL }];
+  if (turnServer && username && credential) {
+    iceServers.push({
+      urls: 'turn:' + turnServer,
+      username,
+      credential,
+    });
+  }
+  return iceServers;
+};
+
+/**
+ * PeerManager: owns the RTCPeerConnection for every remote participant and the
+ * offer/answer/ICE signaling that goes with them over Socket.IO.
+ *
+ * It knows nothing about React; consumers subscribe to its events instead:
+ *   - 'peer-added'   { userId, peer }
+ *   - 'track'        { userId, track, streams }
+ *   - 'state-change' { userId, iceConnectionState, connectionState,
+ *                      reconnecting }
+ *   - 'peer-removed' { userId }
+ *   - 'data'         { userId, label, data }
+ *   - 'channel-open' { userId, label }
+ *   - 'channel-close' { userId, label }
+ *
+ * Negotiation follows the "perfect negotiation" pattern: every connection
+ * sends offers from `onnegotiationneeded`, and when both sides offer at once
+ * the polite peer accepts the incoming offer (rolling its own back) while
+ * the impolite one ignores it. This lets tracks be added or removed mid-call without glare.
+ *
+ * Remote ICE candidates that arrive before the remote description are queued
+ * per peer and flushed once it is set. With `trickleIce` off, candidates are
+ * not sent individually; offers and answers wait for gathering to finish and
+ * carry every candidate in their SDP instead.
+ *
+ * A connection that drops is recovered automatically: after a grace period
+ * (or straight away when ICE fails) the manager calls `restartIce()`, which
+ * renegotiates through the normal offer/answer events. Restarts back off
+ * exponentially and, once they run out, the connection is rebuilt.
+ *
+ * Codec choices (see `codecs.js`) are applied on every negotiation: the
+ * preferred video codec goes first through `setCodecPreferences`, and our
+ * Opus settings are written into the SDP before `setLocalDescription`.
+ *
+ * Both the socket and the RTCPeerConnection constructor are injected so the
+ * manager can be driven by fakes outside the browser.
+ */
+export default class PeerManager extends Emitter {
+  constructor({
+    socket,
+    iceServers = buildIceServers(),
+    PeerConnection = globalThis.RTCPeerConnection,
+    trickleIce = true,
+    codecSettings = DEFAULT_CODEC_SETTINGS,
+  }) {
+    super();
+    this.socket = socket;
+    this.iceServers = iceServers;
+    this.trickleIce = trickleIce;
+    this.codecSettings = codecSettings;
+    this.PeerConnection = PeerConnection;
+    this.localStream = null;
+    this.extraTracks = [];
+    this.peers = {};
+    this.negotiation = {};
+    this.pendingCandidates = {};
+    this.recovery = {};
+    this.channels = {};
+
+    this.handleOffer = this.handleOffer.bind(this);
+    this.handleAnswer = this.handleAnswer.bind(this);
+    this.handleIceCandidate = this.handleIceCandidate.bind(this);
+  }
+
+  // --- Socket wiring ---
+
+  // Start handling the signaling events addressed to this client
+  attach() {
+    this.socket.on('offer', this.handleOffer);
+    this.socket.on('answer', this.handleAnswer);
+    this.socket.on('ice-candidate', this.handleIceCandidate);
+  }
+
+  detach() {
+    this.socket.off('offer', this.handleOffer);
+    this.socket.off('answer', this.handleAnswer);
+    this.socket.off('ice-candidate', this.handleIceCandidate);
+  }
+
+  // --- Peers ---
+
+  setLocalStream(stream) {
+    this.localStream = stream;
+  }
+
+  getPeer(userId) {
+    return this.peers[userId];
+  }
+
+  getPeers() {
+    return Object.values(this.peers);
+  }
+
+  getPeerIds() {
+    return Object.keys(this.peers);
+  }
+
+  // The side with the lower socket ID is polite and yields on offer glare
+  isPolite(userId) {
+    return this.socket.id < userId;
+  }
+
+  /**
+   * Sends `track` to every current and future peer on top of the local
+   * stream. Each connection renegotiates on its own.
+   */
+  addTrack(track, stream) {
+    this.extraTracks.push({ track, stream });
+    this.getPeers().forEach((peer) => peer.addTrack(track, stream));
+  }
+
+  removeTrack(track) {
+    this.extraTracks = this.extraTracks.filter((t) => t.track !== track);
+    this.getPeers().forEach((peer) => {
+      const sender = peer.getSenders().find((s) => s.track === track);
+      if (sender) peer.removeTrack(sender);
+    });
+  }
+
+  /**
+   * Swaps `oldTrack` for `newTrack` on every sender that carries it. Uses
+   * `RTCRtpSender.replaceTrack`, so no renegotiation is needed. When nothing
+   * of that kind was being sent (listener mode) the receive-only transceiver
+   * starts sending instead, which does renegotiate.
+   */
+  replaceTrack(oldTrack, newTrack, stream = this.localStream) {
+    return Promise.all(
+      this.getPeers().map((peer) => {
+        const sender =
+          oldTrack && peer.getSenders().find((s) => s.track === oldTrack);
+        if (sender) return sender.replaceTrack(newTrack);
+        if (!newTrack) return null;
+
+        const transceiver = peer
+          .getTransceivers()
+          .find(
+            (t) => !t.sender.track && t.receiver.track.kind === newTrack.kind
+          );
+        if (!transceiver) {
+          peer.addTrack(newTrack, stream);
+          return null;
+        }
+        transceiver.direction = 'sendrecv';
+        if (stream && typeof transceiver.sender.setStreams === 'function') {
+          transceiver.sender.setStreams(stream);
+        }
+        return transceiver.sender.replaceTrack(newTrack);
+      })
+    );
+  }
+
+  // --- Codecs ---
+
+  /**
+   * Applies new codec settings. Connections that are idle renegotiate right
+   * away; busy ones pick the settings up on their next negotiation.
+   */
+  setCodecSettings(settings) {
+    this.codecSettings = settings;
+    Object.entries(this.peers).forEach(([userId, peer]) => {
+      if (
+        peer.signalingState === 'stable' &&
+        !this.negotiation[userId]?.makingOffer
+      ) {
+        peer.onnegotiationneeded?.();
+      }
+    });
+  }
+
+  applyCodecPreferences(peer) {
+    // An empty list restores the browser's own order
+    const videoCodecs =
+      getPreferredCodecs('video', this.codecSettings.videoCodec) || [];
+
+    peer.getTransceivers().forEach((transceiver) => {
+      const kind = transceiver.receiver.track?.kind;
+      if (
+        kind !== 'video' ||
+        transceiver.stopped ||
+        typeof transceiver.setCodecPreferences !== 'function'
+      ) {
+        return;
+      }
+      try {
+        transceiver.setCodecPreferences(videoCodecs);
+      } catch (err) {
+        console.warn('Could not set codec preferences:', err);
+      }
+    });
+  }
+
+  // Creates an offer or answer with our codec settings and applies it.
+  // False when an offer was dropped because a remote one got in first
+  async setLocalDescription(peer, type) {
+    this.applyCodecPreferences(peer);
+    const description =
+      type === 'offer' ? await peer.createOffer() : await peer.createAnswer();
+    // A remote offer was accepted while ours was being created; it wins
+    if (type === 'offer' && peer.signalingState !== 'stable') return false;
+    await peer.setLocalDescription({
+      type: description.type,
+      sdp: mungeOpusSdp(description.sdp, this.codecSettings),
+    });
+    return true;
+  }
+
+  /**
+   * Creates and registers a connection to `userId`. Adding the local tracks
+   * fires `negotiationneeded`, which sends the first offer. Kinds we have no
+   * track for get a receive-only transceiver so we can still listen/watch.
+   */
+  createPeer(userId) {
+    console.log('Creating peer for user:', userId);
+
+    const peer = new this.PeerConnection({ iceServers: this.iceServers });
+    const stream = this.localStream;
+    const negotiation = {
+      polite: this.isPolite(userId),
+      makingOffer: false,
+      ignoreOffer: false,
+      rebuild: false,
+    };
+    this.negotiation[userId] = negotiation;
+
+    peer.onnegotiationneeded = async () => {
+      try {
+        negotiation.makingOffer = true;
+        if (!(await this.setLocalDescription(peer, 'offer'))) return;
+        if (!this.trickleIce) {
+          await waitForIceGathering(peer);
+        }
+        console.log('Sending offer to:', userId);
+        this.socket.emit('offer', {
+          target: userId,
+          caller: this.socket.id,
+          sdp: peer.localDescription,
+          // Tells the other side to drop its old connection as well
+          rebuild: negotiation.rebuild,
+        });
+        negotiation.rebuild = false;
+      } catch (err) {
+        console.error('Error creating offer:', err);
+      } finally {
+        negotiation.makingOffer = false;
+      }
+    };
+
+    if (stream) {
+      stream.getTracks().forEach((track) => peer.addTrack(track, stream));
+    } else {
+      console.warn('No local stream available for peer ' + userId);
+    }
+    ['audio', 'video'].forEach((kind) => {
+      if (!stream || !stream.getTracks().some((t) => t.kind === kind)) {
+        peer.addTransceiver(kind, { direction: 'recvonly' });
+      }
+    });
+    this.extraTracks.forEach(({ track, stream: extraStream }) =>
+      peer.addTrack(track, extraStream)
+    );
+
+    this.channels[userId] = {};
+    Object.entries(DATA_CHANNELS).forEach(([label, id]) => {
+      const channel = peer.createDataChannel(label, { negotiated: true, id });
+      channel.binaryType = 'arraybuffer';
+      channel.onmessage = ({ data }) => {
+        this.emit('data', { userId, label, data });
+      };
+      channel.onopen = () => {
+        this.emit('channel-open', { userId, label });
+      };
+      // A rebuilt connection replaces its channels; the old ones closing
+      // later says nothing about the current connection
+      channel.onclose = () => {
+        if (this.channels[userId]?.[label] !== channel) return;
+        this.emit('channel-close', { userId, label });
+      };
+      this.channels[userId][label] = channel;
+    });
+
+    peer.onicecandidate = ({ candidate }) => {
+      if (!this.trickleIce) return;
+      // A null candidate marks the end of gathering; forward it as well
+      this.socket.emit('ice-candidate', {
+        target: userId,
+        candidate: candidate || null,
+      });
+    };
+
+    peer.oniceconnectionstatechange = () => {
+      console.log(
+        `ICE connection state with ${userId}: ${peer.iceConnectionState}`
+      );
+      if (this.peers[userId] !== peer) return;
+      this.handleConnectionState(userId);
+    };
+
+    peer.ontrack = ({ track, streams }) => {
+      console.log('Received remote track from:', userId);
+      this.emit('track', { userId, track, streams });
+    };
+
+    this.peers[userId] = peer;
+    this.emit('peer-added', { userId, peer });
+
+    return peer;
+  }
+
+  removePeer(userId) {
+    const peer = this.peers[userId];
+    if (!peer) return false;
+
+    this.clearRecovery(userId);
+    peer.close();
+    delete this.peers[userId];
+    delete this.negotiation[userId];
+    delete this.pendingCandidates[userId];
+    delete this.channels[userId];
+    this.emit('peer-removed', { userId });
+    return true;
+  }
+
+  closeAll() {
+    Object.keys(this.peers).forEach((userId) => this.removePeer(userId));
+  }
+
+  // Detach from the socket and close every connection
+  destroy() {
+    this.detach();
+    this.closeAll();
+  }
+
+  getChannel(userId, label) {
+    return this.channels[userId]?.[label];
+  }
+
+  /**
+   * Sends `data` on the `label` data channel of every peer. Returns the IDs
+   * of peers whose channel is not open yet, so the caller can fall back to
+   * another transport for them.
+   */
+  sendData(label, data) {
+    const unreached = [];
+    Object.entries(this.channels).forEach(([userId, channels]) => {
+      const channel = channels[label];
+      if (channel && channel.readyState === 'open') {
+        channel.send(data);
+      } else {
+        unreached.push(userId);
+      }
+    });
+    return unreached;
+  }
+
+  // --- Connection recovery ---
+
+  emitStateChange(userId) {
+    const peer = this.peers[userId];
+    if (!peer) return;
+
+    this.emit('state-change', {
+      userId,
+      iceConnectionState: peer.iceConnectionState,
+      connectionState: peer.connectionState,
+      reconnecting: Boolean(this.recovery[userId]),
+    });
+  }
+
+  handleConnectionState(userId) {
+    const state = this.peers[userId].iceConnectionState;
+
+    if (state === 'connected' || state === 'completed') {
+      this.clearRecovery(userId);
+    } else if (state === 'disconnected') {
+      this.scheduleRestart(userId, DISCONNECT_GRACE_PERIOD);
+    } else if (state === 'failed') {
+      this.scheduleRestart(userId, 0);
+    }
+
+    this.emitStateChange(userId);
+  }
+
+  scheduleRestart(userId, delay) {
+    if (!this.recovery[userId]) {
+      this.recovery[userId] = { attempts: 0, timer: null };
+    }
+
+    const recovery = this.recovery[userId];
+    if (recovery.timer) return;
+
+    recovery.timer = setTimeout(() => {
+      recovery.timer = null;
+      this.restartPeer(userId);
+    }, delay);
+  }
+
+  clearRecovery(userId) {
+    const recovery = this.recovery[userId];
+    if (!recovery) return;
+
+    clearTimeout(recovery.timer);
+    delete this.recovery[userId];
+  }
+
+  restartPeer(userId) {
+    const peer = this.peers[userId];
+    const recovery = this.recovery[userId];
+    if (!peer || !recovery) return;
+
+    const state = peer.iceConnectionState;
+    if (state === 'connected' || state === 'completed') {
+      this.clearRecovery(userId);
+      this.emitStateChange(userId);
+      return;
+    }
+
+    if (recovery.attempts >= MAX_ICE_RESTARTS) {
+      console.warn(`ICE restarts exhausted for ${userId}, rebuilding peer`);
+      this.rebuildPeer(userId, { notifyRemote: true });
+      return;
+    }
+
+    recovery.attempts += 1;
+    console.log(`Restarting ICE with ${userId} (attempt ${recovery.attempts})`);
+    peer.restartIce();
+
+    // Try again later in case this restart does not bring the connection back
+    this.scheduleRestart(
+      userId,
+      RESTART_BASE_DELAY * 2 ** (recovery.attempts - 1)
+    );
+  }
+
+  /**
+   * Replaces the connection to `userId` with a brand-new one without
+   * reporting the participant as removed. With `notifyRemote`, the first
+   * offer of the new connection asks the other side to rebuild too.
+   */
+  rebuildPeer(userId, { notifyRemote = false } = {}) {
+    const oldPeer = this.peers[userId];
+    this.clearRecovery(userId);
+    if (oldPeer) oldPeer.close();
+    delete this.peers[userId];
+    delete this.negotiation[userId];
+    delete this.pendingCandidates[userId];
+
+    const peer = this.createPeer(userId);
+    this.negotiation[userId].rebuild = notifyRemote;
+    // Stay in recovery (with a fresh set of restarts) until the new
+    // connection comes up
+    this.recovery[userId] = { attempts: 0, timer: null };
+    this.emitStateChange(userId);
+    return peer;
+  }
+
+  // --- Signaling handlers ---
+
+  async handleOffer({ sdp, caller, rebuild }) {
+    console.log('Received offer from:', caller);
+    try {
+      let peer = this.peers[caller];
+      // The remote side gave up on the old connection; an established peer
+      // cannot accept an offer from a new one, so start over here as well
+      if (peer && rebuild && peer.remoteDescription) {
+        peer = this.rebuildPeer(caller);
+      }
+      peer = peer || this.createPeer(caller);
+      const negotiation = this.negotiation[caller];
+      const offerCollision =
+        negotiation.makingOffer || peer.signalingState !== 'stable';
+
+      negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+      if (negotiation.ignoreOffer) {
+        console.log('Ignoring colliding offer from:', caller);
+        return;
+      }
+
+      // Polite side: setting their offer implicitly rolls back our own, and
+      // an offer we are still creating is dropped in setLocalDescription()
+      await peer.setRemoteDescription(sdp);
+      await this.flushCandidates(caller);
+      await this.setLocalDescription(peer, 'answer');
+      if (!this.trickleIce) {
+        await waitForIceGathering(peer);
+      }
+      this.socket.emit('answer', {
+        target: caller,
+        sdp: peer.localDescription,
+      });
+    } catch (error) {
+      console.error('Error handling offer:', error);
+    }
+  }
+
+  async handleAnswer({ sdp, caller }) {
+    console.log('Received answer from:', caller);
+    try {
+      const peer = this.peers[caller];
+      if (peer && peer.signalingState === 'have-local-offer') {
+        await peer.setRemoteDescription(sdp);
+        await this.flushCandidates(caller);
+      }
+    } catch (error) {
+      console.error('Error handling answer:', error);
+    }
+  }
+
+  async handleIceCandidate({ from, candidate }) {
+    const peer = this.peers[from];
+
+    if (!peer || !peer.remoteDescription) {
+      if (!this.pendingCandidates[from]) {
+        this.pendingCandidates[from] = [];
+      }
+      this.pendingCandidates[from].push(candidate);
+      return;
+    }
+
+    await this.addIceCandidate(from, candidate);
+  }
+
+  // Applies candidates queued while the remote description was missing
+  async flushCandidates(userId) {
+    const queued = this.pendingCandidates[userId] || [];
+    delete this.pendingCandidates[userId];
+    for (const candidate of queued) {
+      await this.addIceCandidate(userId, candidate);
+    }
+  }
+
+  async addIceCandidate(userId, candidate) {
+    const peer = this.peers[userId];
+    if (!peer) return;
+
+    try {
+      // No candidate signals end-of-candidates for the current generation
+      await peer.addIceCandidate(candidate || undefined);
+    } catch (error) {
+      // Candidates belonging to an offer we ignored are expected to fail
+      if (!this.negotiation[userId]?.ignoreOffer) {
+        console.error('Error adding ICE candidate:', error);
+      }
+    }
+  }
+}
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { GoogleLogin, googleLogout } from '@react-oauth/google';
+import { LogOut } from 'lucide-react';
+import Avatar from './Avatar';
+import {
+  GOOGLE_CLIENT_ID,
+  MAX_NAME_LENGTH,
+  sanitizeProfile,
+  profileFromGoogleCredential,
+} from './profile';
+
+/**
+ * ProfileCard Component: lobby section that asks how others should see us,
+ * either by signing in with Google (when a client ID is configured) or by
+ * typing a guest name. Once set, it shows the profile with a way to change
+ * it. The result is reported through `onChange(profile | null)`.
+ */
+const ProfileCard = ({ profile, onChange }) => {
+  const [guestName, setGuestName] = useState('');
+  const [error, setError] = useState('');
+
+  const handleGoogleSuccess = ({ credential }) => {
+    try {
+      const googleProfile = profileFromGoogleCredential(credential);
+      if (!googleProfile) throw new Error('Profile has no name');
+      setError('');
+      onChange(googleProfile);
+    } catch (err) {
+      console.error('Could not read Google profile:', err);
+      setError('Google sign-in failed. Please try again or join as a guest.');
+    }
+  };
+
+  const handleGuestSubmit = (e) => {
+    e.preventDefault();
+    const guestProfile = sanitizeProfile({ name: guestName });
+    if (guestProfile) {
+      setError('');
+      onChange(guestProfile);
+    }
+  };
+
+  const handleSignOut = () => {
+    if (profile.provider === 'google') {
+      googleLogout();
+    }
+    setGuestName('');
+    onChange(null);
+  };
+
+  if (profile) {
+    return (
+      <div className="w-full bg-gray-700 p-3 rounded-lg flex items-center gap-3">
+        <Avatar
+          name={profile.name}
+          picture={profile.picture}
+          className="w-10 h-10 text-base"
+        />
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium text-gray-100 truncate">
+            {profile.name}
+          </p>
+          <p className="text-xs text-gray-400">
+            {profile.provider === 'google'
+              ? 'Signed in with Google'
+              : 'Joining as a guest'}
+          </p>
+        </div>
+        <button
+          onClick={handleSignOut}
+          className="text-gray-300 hover:text-white text-sm font-medium flex items-center gap-1"
+        >
+          <LogOut size={16} />
+          {profile.provider === 'google' ? 'Sign out' : 'Change'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full flex flex-col gap-3">
+      <p className="text-sm text-gray-300">How should others see you?</p>
+      {GOOGLE_CLIENT_ID && (
+        <>
+          <div className="flex justify-center">
+            <GoogleLogin
+              onSuccess={handleGoogleSuccess}
+              onError={() =>
+                setError(
+                  'Google sign-in failed. Please try again or join as a guest.'
+                )
+              }
+              theme="filled_black"
+              text="continue_with"
+            />
+          </div>
+          <div className="flex items-center gap-2 w-full">
+            <hr className="flex-1 border-gray-600" />
+            <span className="text-gray-500 text-sm">or as a guest</span>
+            <hr className="flex-1 border-gray-600" />
+          </div>
+        </>
+      )}
+      <form onSubmit={handleGuestSubmit} className="flex gap-2">
+        <input
+          type="text"
+          value={guestName}
+          onChange={(e) => setGuestName(e.target.value)}
+          maxLength={MAX_NAME_LENGTH}
+          placeholder="Your name"
+          className="border border-gray-600 rounded-lg px-4 py-2 flex-1 min-w-0 focus:outline-none focus:ring-2 focus:ring-indigo-500 transition bg-gray-700 text-white"
+        />
+        <button
+          type="submit"
+          disabled={!guestName.trim()}
+          className="bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-500 disabled:cursor-not-allowed text-white px-4 py-2 rounded-lg transition duration-300 font-medium"
+        >
+          Continue
+        </button>
+      </form>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default ProfileCard;
@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import DeviceSelect from './DeviceSelect';
+import { listMediaDevices } from './mediaDevices';
+import { QUALITY_PRESETS } from './BandwidthManager';
+import { OPUS_BITRATES, getSupportedVideoCodecs } from './codecs';
+
+const formatBitrate = (bitrate) =>
+  bitrate ? `${bitrate / 1000} kbps` : 'Browser default';
+
+// How a shared screen is sent to the other participants
+const SCREEN_SHARE_MODES = [
+  { value: 'add', label: 'Alongside my camera' },
+  { value: 'replace', label: 'Instead of my camera' },
+];
+
+/**
+ * SettingsMenu Component: in-call popover for switching camera, microphone
+ * and speaker, and for call preferences such as the layout, screen share
+ * mode, video quality preset and codecs. It only reports the picked values;
+ * acquiring new tracks and swapping them into the peer connections is left
+ * to the caller.
+ */
+const SettingsMenu = ({
+  audioDeviceId,
+  videoDeviceId,
+  audioOutputDeviceId,
+  onAudioDeviceChange,
+  onVideoDeviceChange,
+  onAudioOutputDeviceChange,
+  screenShareMode,
+  onScreenShareModeChange,
+  qualityPreset,
+  onQualityPresetChange,
+  codecSettings,
+  onCodecSettingsChange,
+  autoPromoteSpeaker,
+  onAutoPromoteSpeakerChange,
+  mutedWarningEnabled,
+  onMutedWarningEnabledChange,
+  onClose,
+}) => {
+  const [videoCodecs] = useState(getSupportedVideoCodecs);
+  const updateCodecSettings = (changes) =>
+    onCodecSettingsChange({ ...codecSettings, ...changes });
+
+  const [devices, setDevices] = useState({
+    audioInputs: [],
+    videoInputs: [],
+    audioOutputs: [],
+  });
+
+  // Keep the lists current while the menu is open (e.g. a headset plugged in)
+  useEffect(() => {
+    const refreshDevices = () => {
+      listMediaDevices()
+        .then(setDevices)
+        .catch((err) => console.error('Error listing media devices:', err));
+    };
+
+    refreshDevices();
+    navigator.mediaDevices.addEventListener('devicechange', refreshDevices);
+    return () => {
+      navigator.mediaDevices.removeEventListener(
+        'devicechange',
+        refreshDevices
+      );
+    };
+  }, []);
+
+  return (
+    <div className="absolute bottom-full mb-3 left-1/2 -translate-x-1/2 w-72 max-h-[70vh] overflow-y-auto bg-gray-800 border border-gray-700 rounded-lg shadow-2xl p-4 z-40">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-gray-200">Devices</p>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-200"
+          aria-label="Close settings"
+        >
+          <X size={16} />
+        </button>
+      </div>
+      <div className="flex flex-col gap-3">
+        <DeviceSelect
+          label="Camera"
+          value={videoDeviceId}
+          onChange={onVideoDeviceChange}
+          devices={devices.videoInputs}
+        />
+        <DeviceSelect
+          label="Microphone"
+          value={audioDeviceId}
+          onChange={onAudioDeviceChange}
+          devices={devices.audioInputs}
+        />
+        <DeviceSelect
+          label="Speaker"
+          value={audioOutputDeviceId}
+          onChange={onAudioOutputDeviceChange}
+          devices={devices.audioOutputs}
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={mutedWarningEnabled}
+            onChange={(e) => onMutedWarningEnabledChange(e.target.checked)}
+            className="accent-indigo-500"
+          />
+          Warn me when I talk while muted
+        </label>
+      </div>
+
+      <p className="text-sm font-medium text-gray-200 mt-4 mb-2">Layout</p>
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={autoPromoteSpeaker}
+          onChange={(e) => onAutoPromoteSpeakerChange(e.target.checked)}
+          className="accent-indigo-500"
+        />
+        Enlarge whoever is speaking
+      </label>
+
+      <p className="text-sm font-medium text-gray-200 mt-4 mb-2">
+        Screen sharing
+      </p>
+      <label className="flex flex-col gap-1 text-sm text-gray-300 w-full">
+        Send my screen
+        <select
+          value={screenShareMode}
+          onChange={(e) => onScreenShareModeChange(e.target.value)}
+          className="border border-gray-600 rounded-lg px-3 py-2 bg-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {SCREEN_SHARE_MODES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <p className="text-sm font-medium text-gray-200 mt-4 mb-2">
+        Video quality
+      </p>
+      <label className="flex flex-col gap-1 text-sm text-gray-300 w-full">
+        Preset
+        <select
+          value={qualityPreset}
+          onChange={(e) => onQualityPresetChange(e.target.value)}
+          className="border border-gray-600 rounded-lg px-3 py-2 bg-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
+          {Object.entries(QUALITY_PRESETS).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <p className="text-xs text-gray-400 mt-1">
+        Quality is lowered automatically while the network struggles.
+      </p>
+
+      <p className="text-sm font-medium text-gray-200 mt-4 mb-2">Codecs</p>
+      <div className="flex flex-col gap-3 text-sm text-gray-300">
+        <label className="flex flex-col gap-1 w-full">
+          Preferred video codec
+          <select
+            value={codecSettings.videoCodec}
+            onChange={(e) =>
+              updateCodecSettings({ videoCodec: e.target.value })
+            }
+            className="border border-gray-600 rounded-lg px-3 py-2 bg-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            <option value="">Browser default</option>
+            {videoCodecs.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 w-full">
+          Opus bitrate
+          <select
+            value={codecSettings.opusMaxAverageBitrate}
+            onChange={(e) =>
+              updateCodecSettings({
+                opusMaxAverageBitrate: Number(e.target.value),
+              })
+            }
+            className="border border-gray-600 rounded-lg px-3 py-2 bg-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {OPUS_BITRATES.map((bitrate) => (
+              <option key={bitrate} value={bitrate}>
+                {formatBitrate(bitrate)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {[
+          ['opusStereo', 'Stereo audio'],
+          ['opusDtx', 'Save bandwidth during silence (DTX)'],
+          ['opusFec', 'Error correction (FEC)'],
+        ].map(([key, label]) => (
+          <label key={key} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={codecSettings[key]}
+              onChange={(e) => updateCodecSettings({ [key]: e.target.checked })}
+              className="accent-indigo-500"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400 mt-1">
+        These tell the others how to send to you; ask them to pick the same
+        settings for the best results.
+      </p>
+    </div>
+  );
+};
+
+export default SettingsMenu;
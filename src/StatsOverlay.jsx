@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import { Check, Copy, X } from 'lucide-react';
+import { summarizeStats, exportStats } from './peerStats';
+
+// How often the connection is polled, in milliseconds
+const STATS_INTERVAL = 1000;
+// Samples kept for the sparkline (one per poll)
+const HISTORY_LENGTH = 30;
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 24;
+
+const formatNumber = (value, digits = 0, unit = '') =>
+  value === null || value === undefined
+    ? '–'
+    : `${value.toFixed(digits)}${unit}`;
+
+// Polyline points for `values`, scaled to the sparkline box
+const getSparklinePoints = (values) => {
+  const max = Math.max(...values, 1);
+  const step = SPARKLINE_WIDTH / (HISTORY_LENGTH - 1);
+  const offset = HISTORY_LENGTH - values.length;
+  return values
+    .map(
+      (value, index) =>
+        `${((offset + index) * step).toFixed(1)},${(
+          SPARKLINE_HEIGHT -
+          (value / max) * SPARKLINE_HEIGHT
+        ).toFixed(1)}`
+    )
+    .join(' ');
+};
+
+/**
+ * StatsOverlay Component: polls `getPeer(userId).getStats()` while it is
+ * shown and lists the connection's bitrate, loss, jitter, RTT, video format,
+ * codecs and candidate types, with a sparkline of the incoming bitrate. The
+ * connection is looked up on every poll, so a rebuilt one is picked up.
+ */
+const StatsOverlay = ({ userId, getPeer, onClose }) => {
+  const [history, setHistory] = useState([]);
+  const [raw, setRaw] = useState([]);
+  const [isCopied, setIsCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    let previous = null;
+
+    const poll = async () => {
+      const peer = getPeer(userId);
+      if (!peer) return;
+      try {
+        const report = await peer.getStats();
+        if (cancelled) return;
+        const sample = summarizeStats(report, previous);
+        previous = sample;
+        setHistory((prev) => [...prev, sample].slice(-HISTORY_LENGTH));
+        setRaw(exportStats(report));
+      } catch (err) {
+        console.error('Error reading connection stats:', err);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, STATS_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [getPeer, userId]);
+
+  const latest = history[history.length - 1];
+
+  const copyDiagnostics = () => {
+    const diagnostics = {
+      userId,
+      collectedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      summary: latest || null,
+      history,
+      stats: raw,
+    };
+    navigator.clipboard
+      .writeText(JSON.stringify(diagnostics, null, 2))
+      .then(() => {
+        setIsCopied(true);
+        setTimeout(() => setIsCopied(false), 2000);
+      })
+      .catch((err) => {
+        console.error('Failed to copy diagnostics: ', err);
+      });
+  };
+
+  const rows = latest
+    ? [
+        ['Bitrate in', formatNumber(latest.inboundKbps, 0, ' kbps')],
+        ['Bitrate out', formatNumber(latest.outboundKbps, 0, ' kbps')],
+        ['Packet loss', formatNumber(latest.packetLoss, 1, '%')],
+        ['Jitter', formatNumber(latest.jitterMs, 0, ' ms')],
+        ['Round trip', formatNumber(latest.rttMs, 0, ' ms')],
+        [
+          'Video',
+          latest.resolution
+            ? `${latest.resolution} @ ${formatNumber(latest.framesPerSecond)} fps`
+            : '–',
+        ],
+        [
+          'Codecs',
+          [latest.videoCodec, latest.audioCodec]
+            .filter(Boolean)
+            .map((mimeType) => mimeType.split('/')[1])
+            .join(', ') || '–',
+        ],
+        [
+          'Route',
+          latest.localCandidateType
+            ? `${latest.localCandidateType} → ${latest.remoteCandidateType}`
+            : '–',
+        ],
+      ]
+    : [];
+  const bitrates = history
+    .map((sample) => sample.inboundKbps)
+    .filter((value) => value !== null);
+
+  return (
+    <div className="absolute top-2 left-2 z-40 w-56 max-h-[calc(100%-1rem)] overflow-y-auto bg-black bg-opacity-80 text-white text-xs rounded-lg p-3 font-mono">
+      <div className="flex items-center justify-between mb-2 font-sans">
+        <p className="font-medium text-sm">Connection</p>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-200"
+          aria-label="Hide stats"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      {!latest && <p className="text-gray-400">Collecting stats…</p>}
+      {rows.map(([label, value]) => (
+        <div key={label} className="flex justify-between gap-2">
+          <span className="text-gray-400">{label}</span>
+          <span className="text-right">{value}</span>
+        </div>
+      ))}
+
+      {bitrates.length > 1 && (
+        <svg
+          width={SPARKLINE_WIDTH}
+          height={SPARKLINE_HEIGHT}
+          className="mt-2 w-full"
+          viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+          preserveAspectRatio="none"
+        >
+          <polyline
+            points={getSparklinePoints(bitrates)}
+            fill="none"
+            stroke="#818cf8"
+            strokeWidth="1.5"
+          />
+        </svg>
+      )}
+
+      <button
+        onClick={copyDiagnostics}
+        disabled={!latest}
+        className="mt-2 w-full flex items-center justify-center gap-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded-md py-1 font-sans"
+      >
+        {isCopied ? <Check size={12} /> : <Copy size={12} />}
+        {isCopied ? 'Copied' : 'Copy diagnostics as JSON'}
+      </button>
+    </div>
+  );
+};
+
+export default StatsOverlay;
@@ -0,0 +1,118 @@
+import React, { useEffect, useRef } from 'react';
+import { ImagePlus, Loader2, X } from 'lucide-react';
+import { VIDEO_EFFECTS } from './VideoEffectsProcessor';
+
+// Swatch shown on each effect button
+const getSwatchStyle = (effect) => {
+  if (effect.colors) {
+    return {
+      background: `linear-gradient(135deg, ${effect.colors[0]}, ${effect.colors[1]})`,
+    };
+  }
+  return {};
+};
+
+/**
+ * VideoEffectsPanel Component: in-call popover for blurring or replacing the
+ * camera background. The preview shows the outgoing camera track, so it
+ * reflects the effect exactly as the others see it. Processing itself is
+ * left to the caller through `onEffectChange(effect, image)`.
+ */
+const VideoEffectsPanel = ({
+  stream,
+  effect,
+  isLoading,
+  error,
+  onEffectChange,
+  onClose,
+}) => {
+  const videoRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  const handleImageSelected = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    const image = new Image();
+    image.src = URL.createObjectURL(file);
+    try {
+      await image.decode();
+      onEffectChange('image', image);
+    } catch (err) {
+      console.error('Could not load background image:', err);
+      URL.revokeObjectURL(image.src);
+    }
+  };
+
+  return (
+    <div className="absolute bottom-full mb-3 left-1/2 -translate-x-1/2 w-72 max-h-[70vh] overflow-y-auto bg-gray-800 border border-gray-700 rounded-lg shadow-2xl p-4 z-40">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium text-gray-200">Background</p>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-200"
+          aria-label="Close background effects"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="relative aspect-video rounded-lg overflow-hidden bg-gray-900 mb-3">
+        <video
+          ref={videoRef}
+          autoPlay
+          playsInline
+          muted
+          style={{ transform: 'scaleX(-1)' }}
+          className="w-full h-full object-cover"
+        />
+        {isLoading && (
+          <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-60 text-white text-sm gap-2">
+            <Loader2 size={16} className="animate-spin" /> Loading model…
+          </div>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-400 mb-3">{error}</p>}
+
+      <div className="grid grid-cols-3 gap-2">
+        {VIDEO_EFFECTS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() =>
+              option.value === 'image'
+                ? fileInputRef.current?.click()
+                : onEffectChange(option.value)
+            }
+            disabled={isLoading}
+            className={`h-14 rounded-lg text-xs font-medium text-white flex items-center justify-center gap-1 border-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 ${
+              effect === option.value
+                ? 'border-indigo-500'
+                : 'border-transparent'
+            }`}
+            style={getSwatchStyle(option)}
+          >
+            {option.value === 'image' && <ImagePlus size={14} />}
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        className="hidden"
+        onChange={handleImageSelected}
+      />
+    </div>
+  );
+};
+
+export default VideoEffectsPanel;
@@ -0,0 +1,308 @@
+// MediaPipe WASM files, shipped from the @mediapipe/tasks-vision package
+import wasmLoaderUrl from '@mediapipe/tasks-vision/vision_wasm_internal.js?url';
+import wasmBinaryUrl from '@mediapipe/tasks-vision/vision_wasm_internal.wasm?url';
+import noSimdWasmLoaderUrl from '@mediapipe/tasks-vision/vision_wasm_nosimd_internal.js?url';
+import noSimdWasmBinaryUrl from '@mediapipe/tasks-vision/vision_wasm_nosimd_internal.wasm?url';
+
+// Selfie segmentation model, added to the build by the plugin in
+// vite.config.js
+const MODEL_URL = `${import.meta.env.BASE_URL}mediapipe/selfie_segmenter.tflite`;
+
+// Frame rate of the canvas fallback when the track processor API is missing
+const FALLBACK_FRAME_RATE = 24;
+// Blur radius for the background, in pixels
+const BLUR_RADIUS = 14;
+
+/**
+ * Effects offered in the effects panel. Gradients are drawn on the canvas,
+ * so no image assets are needed; 'image' uses a picture the user uploads.
+ */
+export const VIDEO_EFFECTS = [
+  { value: 'none', label: 'None' },
+  { value: 'blur', label: 'Blur' },
+  {
+    value: 'gradient-indigo',
+    label: 'Indigo',
+    colors: ['#312e81', '#6366f1'],
+  },
+  { value: 'gradient-sunset', label: 'Sunset', colors: ['#7c2d12', '#f59e0b'] },
+  { value: 'gradient-forest', label: 'Forest', colors: ['#064e3b', '#34d399'] },
+  { value: 'image', label: 'Image' },
+];
+
+let segmenterPromise = null;
+
+/**
+ * Loads the segmentation model once and shares it between processors. It
+ * runs on the CPU delegate so it behaves the same on every machine.
+ */
+export const loadSegmenter = () => {
+  if (!segmenterPromise) {
+    segmenterPromise = (async () => {
+      // Loaded on demand so the bundle stays out of the main chunk
+      const { FilesetResolver, ImageSegmenter } =
+        await import('@mediapipe/tasks-vision');
+      const fileset = (await FilesetResolver.isSimdSupported())
+        ? { wasmLoaderPath: wasmLoaderUrl, wasmBinaryPath: wasmBinaryUrl }
+        : {
+            wasmLoaderPath: noSimdWasmLoaderUrl,
+            wasmBinaryPath: noSimdWasmBinaryUrl,
+          };
+      return ImageSegmenter.createFromOptions(fileset, {
+        baseOptions: { modelAssetPath: MODEL_URL, delegate: 'CPU' },
+        runningMode: 'VIDEO',
+        outputCategoryMask: false,
+        outputConfidenceMasks: true,
+      });
+    })().catch((err) => {
+      // Let a later attempt try again
+      segmenterPromise = null;
+      throw err;
+    });
+  }
+  return segmenterPromise;
+};
+
+const hasTrackProcessor = () =>
+  typeof MediaStreamTrackProcessor !== 'undefined' &&
+  typeof MediaStreamTrackGenerator !== 'undefined';
+
+/**
+ * VideoEffectsProcessor: turns a camera track into a track with its
+ * background blurred or replaced. Each frame is segmented into person and
+ * background, and the person is drawn over the chosen background on a
+ * canvas.
+ *
+ * Frames come from `MediaStreamTrackProcessor` and go out through a
+ * `MediaStreamTrackGenerator` where the browser has them; elsewhere a hidden
+ * <video> is drawn on a timer and the canvas is captured instead. Either way
+ * the output track stays the same when the input changes, so a camera switch
+ * does not touch the peer connections.
+ */
+export default class VideoEffectsProcessor {
+  constructor({ segmenter, onError }) {
+    this.segmenter = segmenter;
+    // Told when the effect or the frame pipeline fails; the caller should
+    // go back to the camera track
+    this.onError = onError;
+    this.effect = 'none';
+    this.backgroundImage = null;
+    this.inputTrack = null;
+    this.outputTrack = null;
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d');
+    this.maskCanvas = document.createElement('canvas');
+    this.maskContext = this.maskCanvas.getContext('2d');
+    this.generation = 0;
+    this.lastTimestamp = 0;
+  }
+
+  // Starts processing `track` and returns the processed track
+  start(track) {
+    if (hasTrackProcessor()) {
+      this.generator = new MediaStreamTrackGenerator({ kind: 'video' });
+      this.writer = this.generator.writable.getWriter();
+      this.outputTrack = this.generator;
+    } else {
+      this.outputTrack = this.canvas
+        .captureStream(FALLBACK_FRAME_RATE)
+        .getVideoTracks()[0];
+    }
+    this.setInputTrack(track);
+    return this.outputTrack;
+  }
+
+  // Switches to a new camera track, keeping the same output track
+  setInputTrack(track) {
+    const generation = ++this.generation;
+    this.inputTrack = track;
+    this.stopFallback();
+
+    if (this.writer) {
+      this.pumpFrames(track, generation);
+    } else {
+      this.startFallback(track, generation);
+    }
+  }
+
+  setEffect(effect, backgroundImage = this.backgroundImage) {
+    this.effect = effect;
+    this.backgroundImage = backgroundImage;
+  }
+
+  stop() {
+    this.generation += 1;
+    this.stopFallback();
+    this.writer?.close().catch(() => {});
+    this.writer = null;
+    this.outputTrack?.stop();
+    this.outputTrack = null;
+    this.inputTrack = null;
+  }
+
+  async pumpFrames(track, generation) {
+    const reader = new MediaStreamTrackProcessor({
+      track,
+    }).readable.getReader();
+    try {
+      while (generation === this.generation) {
+        const { value: frame, done } = await reader.read();
+        if (done) break;
+        try {
+          if (generation === this.generation) {
+            this.drawFrame(
+              frame,
+              frame.displayWidth,
+              frame.displayHeight,
+              frame.timestamp / 1000
+            );
+            await this.writer.write(
+              new VideoFrame(this.canvas, { timestamp: frame.timestamp })
+            );
+          }
+        } finally {
+          frame.close();
+        }
+      }
+    } catch (err) {
+      if (generation === this.generation) {
+        console.error('Error processing video frames:', err);
+        this.onError?.(err);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  startFallback(track, generation) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([track]);
+    video.play().catch(() => {});
+    this.fallbackVideo = video;
+
+    this.fallbackTimer = setInterval(() => {
+      if (generation !== this.generation || video.videoWidth === 0) return;
+      this.drawFrame(
+        video,
+        video.videoWidth,
+        video.videoHeight,
+        performance.now()
+      );
+    }, 1000 / FALLBACK_FRAME_RATE);
+  }
+
+  stopFallback() {
+    clearInterval(this.fallbackTimer);
+    this.fallbackTimer = null;
+    if (this.fallbackVideo) {
+      this.fallbackVideo.srcObject = null;
+      this.fallbackVideo = null;
+    }
+  }
+
+  // Draws one frame, falling back to the plain camera for good if the
+  // effect fails so the call keeps its video
+  drawFrame(source, width, height, timestamp) {
+    try {
+      this.renderFrame(source, width, height, timestamp);
+    } catch (err) {
+      console.error('Error applying background effect:', err);
+      this.effect = 'none';
+      this.context.drawImage(source, 0, 0, width, height);
+      this.onError?.(err);
+    }
+  }
+
+  // Draws one frame with the current effect onto the output canvas
+  renderFrame(source, width, height, timestamp) {
+    const { canvas, context } = this;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    if (this.effect === 'none') {
+      context.drawImage(source, 0, 0, width, height);
+      return;
+    }
+
+    // The segmenter needs strictly increasing timestamps
+    const time = Math.max(timestamp, this.lastTimestamp + 1);
+    this.lastTimestamp = time;
+    const result = this.segmenter.segmentForVideo(source, time);
+    const [mask] = result.confidenceMasks || [];
+    if (!mask) {
+      context.drawImage(source, 0, 0, width, height);
+      result.close?.();
+      return;
+    }
+    this.updateMask(mask);
+    result.close?.();
+
+    // Person only: the frame where the mask says "person"...
+    context.save();
+    try {
+      context.clearRect(0, 0, width, height);
+      context.drawImage(this.maskCanvas, 0, 0, width, height);
+      context.globalCompositeOperation = 'source-in';
+      context.drawImage(source, 0, 0, width, height);
+      // ...with the background filled in behind it
+      context.globalCompositeOperation = 'destination-over';
+      this.drawBackground(source, width, height);
+    } finally {
+      context.restore();
+    }
+  }
+
+  // Copies the person-confidence mask into the alpha channel of maskCanvas
+  updateMask(mask) {
+    const { maskCanvas, maskContext } = this;
+    const confidences = mask.getAsFloat32Array();
+    if (maskCanvas.width !== mask.width || maskCanvas.height !== mask.height) {
+      maskCanvas.width = mask.width;
+      maskCanvas.height = mask.height;
+      this.maskImage = maskContext.createImageData(mask.width, mask.height);
+    }
+
+    const pixels = this.maskImage.data;
+    for (let i = 0; i < confidences.length; i += 1) {
+      pixels[i * 4 + 3] = Math.round(confidences[i] * 255);
+    }
+    maskContext.putImageData(this.maskImage, 0, 0);
+  }
+
+  drawBackground(source, width, height) {
+    const { context } = this;
+    const effect = VIDEO_EFFECTS.find((e) => e.value === this.effect);
+
+    if (this.effect === 'blur') {
+      context.filter = `blur(${BLUR_RADIUS}px)`;
+      context.drawImage(source, 0, 0, width, height);
+      context.filter = 'none';
+    } else if (this.effect === 'image' && this.backgroundImage) {
+      // Cover the frame, cropping the image as needed
+      const image = this.backgroundImage;
+      const scale = Math.max(width / image.width, height / image.height);
+      const drawWidth = image.width * scale;
+      const drawHeight = image.height * scale;
+      context.drawImage(
+        image,
+        (width - drawWidth) / 2,
+        (height - drawHeight) / 2,
+        drawWidth,
+        drawHeight
+      );
+    } else if (effect?.colors) {
+      const gradient = context.createLinearGradient(0, 0, width, height);
+      gradient.addColorStop(0, effect.colors[0]);
+      gradient.addColorStop(1, effect.colors[1]);
+      context.fillStyle = gradient;
+      context.fillRect(0, 0, width, height);
+    } else {
+      context.fillStyle = '#111827';
+      context.fillRect(0, 0, width, height);
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import React, { useEffect, useRef } from 'react';
+import { Loader2, VideoOff } from 'lucide-react';
+
+/**
+ * WaitingRoom Component: shown while we knock on a room with a waiting room,
+ * until the host lets us in or turns us away. Shows our own camera so we can
+ * get ready in the meantime.
+ */
+const WaitingRoom = ({ stream, roomId, onCancel }) => {
+  const videoRef = useRef(null);
+  const hasVideo = Boolean(
+    stream?.getVideoTracks().some((track) => track.enabled)
+  );
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  return (
+    <div className="w-full max-w-2xl bg-gray-800 shadow-2xl rounded-xl p-6">
+      <div className="flex flex-col items-center gap-6 text-center">
+        <div>
+          <h1 className="text-2xl font-bold text-indigo-300 mb-1">
+            Waiting to be let in
+          </h1>
+          <p className="text-gray-400">
+            The host of room {roomId} has been asked to let you join.
+          </p>
+        </div>
+
+        <div className="relative w-full aspect-video rounded-lg overflow-hidden bg-gray-900">
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            style={{ transform: 'scaleX(-1)' }}
+            className={`w-full h-full object-cover ${hasVideo ? '' : 'opacity-0'}`}
+          />
+          {!hasVideo && (
+            <div className="absolute inset-0 flex items-center justify-center text-gray-400">
+              <VideoOff size={40} />
+            </div>
+          )}
+        </div>
+
+        <p className="flex items-center gap-2 text-gray-300">
+          <Loader2 size={18} className="animate-spin" /> Waiting for the host…
+        </p>
+
+        <button
+          onClick={onCancel}
+          className="bg-gray-700 hover:bg-gray-600 text-white px-6 py-3 rounded-lg transition duration-300 w-full font-medium"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WaitingRoom;
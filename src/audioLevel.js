@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+
+// How often levels are sampled, in milliseconds
+const LEVEL_INTERVAL = 100;
+// Speech RMS rarely goes above ~0.3, so scale it up to fill 0..1
+const LEVEL_GAIN = 3;
+// Smoothing: rise quickly when sound starts, fall slowly when it stops
+const ATTACK = 0.6;
+const RELEASE = 0.15;
+
+// Smoothed level above which someone counts as speaking
+export const SPEAKING_THRESHOLD = 0.12;
+
+// One context for every analyser; browsers limit how many can be open
+let sharedContext = null;
+const getAudioContext = () => {
+  if (!sharedContext || sharedContext.state === 'closed') {
+    sharedContext = new AudioContext();
+  }
+  if (sharedContext.state === 'suspended') {
+    sharedContext.resume().catch(() => {});
+  }
+  return sharedContext;
+};
+
+/**
+ * Starts measuring the loudness of `track` and calls `onLevel` with a
+ * smoothed 0..1 level every sample. Returns a function that stops it.
+ */
+export const watchAudioLevel = (track, onLevel) => {
+  const context = getAudioContext();
+  const source = context.createMediaStreamSource(new MediaStream([track]));
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let smoothed = 0;
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    const rms = Math.sqrt(
+      samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length
+    );
+    const level = Math.min(1, rms * LEVEL_GAIN);
+    smoothed += (level - smoothed) * (level > smoothed ? ATTACK : RELEASE);
+    onLevel(smoothed);
+  }, LEVEL_INTERVAL);
+
+  return () => {
+    clearInterval(timer);
+    source.disconnect();
+  };
+};
+
+/**
+ * Smoothed speaking level (0..1) of the first audio track in `stream`,
+ * rounded to two decimals so silence does not re-render every sample.
+ */
+export const useAudioLevel = (stream) => {
+  const [level, setLevel] = useState(0);
+  const track = stream?.getAudioTracks()[0] || null;
+
+  useEffect(() => {
+    if (!track) {
+      setLevel(0);
+      return undefined;
+    }
+    const stop = watchAudioLevel(track, (value) =>
+      setLevel(Math.round(value * 100) / 100)
+    );
+    return () => {
+      stop();
+      setLevel(0);
+    };
+  }, [track]);
+
+  return level;
+};
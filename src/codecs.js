@@ -0,0 +1,114 @@
+// Video codecs that can be put first, by MIME type
+export const VIDEO_CODECS = [
+  { value: 'video/VP8', label: 'VP8' },
+  { value: 'video/VP9', label: 'VP9' },
+  { value: 'video/AV1', label: 'AV1' },
+  { value: 'video/H264', label: 'H.264' },
+];
+
+// Opus average bitrates offered in settings, in bits per second (0 = default)
+export const OPUS_BITRATES = [0, 64000, 128000, 256000, 510000];
+
+/**
+ * Codec choices applied to every connection. An empty `videoCodec` keeps the
+ * browser's order; the Opus fields end up in the a=fmtp line of our SDP.
+ */
+export const DEFAULT_CODEC_SETTINGS = {
+  videoCodec: '',
+  opusStereo: false,
+  opusMaxAverageBitrate: 0,
+  opusDtx: false,
+  opusFec: true,
+};
+
+// Retransmission/redundancy entries that accompany the real codecs
+const isHelperCodec = ({ mimeType }) =>
+  /\/(rtx|red|ulpfec|flexfec-03)$/i.test(mimeType);
+
+// Receive capabilities for `kind`, or an empty list where unsupported
+const getCapabilities = (kind) =>
+  (typeof RTCRtpReceiver !== 'undefined' &&
+    RTCRtpReceiver.getCapabilities?.(kind)?.codecs) ||
+  [];
+
+export const getSupportedVideoCodecs = () => {
+  const mimeTypes = getCapabilities('video').map((c) =>
+    c.mimeType.toLowerCase()
+  );
+  return VIDEO_CODECS.filter((codec) =>
+    mimeTypes.includes(codec.value.toLowerCase())
+  );
+};
+
+/**
+ * The `kind` codec list with `mimeType` moved to the front, in the shape
+ * `RTCRtpTransceiver.setCodecPreferences` expects. Returns null when there
+ * is nothing to change.
+ */
+export const getPreferredCodecs = (kind, mimeType) => {
+  if (!mimeType) return null;
+  const codecs = getCapabilities(kind);
+  const preferred = codecs.filter(
+    (c) => c.mimeType.toLowerCase() === mimeType.toLowerCase()
+  );
+  if (preferred.length === 0) return null;
+
+  return [
+    ...preferred,
+    ...codecs.filter((c) => !preferred.includes(c) && !isHelperCodec(c)),
+    ...codecs.filter(isHelperCodec),
+  ];
+};
+
+// Parameters to set on the Opus a=fmtp line for `settings`
+const getOpusParameters = (settings) => {
+  const parameters = {
+    stereo: settings.opusStereo ? '1' : '0',
+    'sprop-stereo': settings.opusStereo ? '1' : '0',
+    usedtx: settings.opusDtx ? '1' : '0',
+    useinbandfec: settings.opusFec ? '1' : '0',
+  };
+  if (settings.opusMaxAverageBitrate) {
+    parameters.maxaveragebitrate = String(settings.opusMaxAverageBitrate);
+  }
+  return parameters;
+};
+
+/**
+ * Rewrites the Opus a=fmtp lines of `sdp` with our Opus settings. They
+ * describe what we are willing to receive, so the other side's encoder
+ * follows them (stereo, bitrate, DTX, in-band FEC).
+ */
+export const mungeOpusSdp = (sdp, settings) => {
+  const payloadTypes = [...sdp.matchAll(/^a=rtpmap:(\d+) opus\/48000/gim)].map(
+    (match) => match[1]
+  );
+  if (payloadTypes.length === 0) return sdp;
+
+  const parameters = getOpusParameters(settings);
+  return sdp.replace(
+    /^a=fmtp:(\d+) ([^\r\n]*)/gm,
+    (line, payloadType, current) => {
+      if (!payloadTypes.includes(payloadType)) return line;
+
+      const merged = {};
+      current
+        .trim()
+        .split(';')
+        .filter(Boolean)
+        .forEach((pair) => {
+          const [key, value = ''] = pair.split('=');
+          merged[key.trim()] = value.trim();
+        });
+      Object.assign(merged, parameters);
+      if (!settings.opusMaxAverageBitrate) {
+        delete merged.maxaveragebitrate;
+      }
+
+      const formatted = Object.entries(merged)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(';');
+      return `a=fmtp:${payloadType} ${formatted}`;
+    }
+  );
+};
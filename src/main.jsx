@@ -1,7 +1,23 @@
 // src/main.jsx
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
+import { GoogleOAuthProvider } from '@react-oauth/google';
 import App from './App.jsx';
+import { GOOGLE_CLIENT_ID } from './profile';
 import './index.css';
 
-ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+const app = (
+  <BrowserRouter basename={import.meta.env.BASE_URL}>
+    <App />
+  </BrowserRouter>
+);
+
+// Google sign-in is optional; without a client ID everyone joins as a guest
+ReactDOM.createRoot(document.getElementById('root')).render(
+  GOOGLE_CLIENT_ID ? (
+    <GoogleOAuthProvider clientId={GOOGLE_CLIENT_ID}>{app}</GoogleOAuthProvider>
+  ) : (
+    app
+  )
+);
@@ -0,0 +1,51 @@
+/**
+ * Lists the available media devices grouped by kind. Labels are only filled
+ * in once the page has been granted camera/microphone permission.
+ */
+export const listMediaDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return {
+    audioInputs: devices.filter((d) => d.kind === 'audioinput'),
+    videoInputs: devices.filter((d) => d.kind === 'videoinput'),
+    audioOutputs: devices.filter((d) => d.kind === 'audiooutput'),
+  };
+};
+
+// getUserMedia constraint for a device ID; '' means the system default
+export const deviceConstraint = (deviceId) =>
+  deviceId ? { deviceId: { exact: deviceId } } : true;
+
+// Raw microphone for instruments: no voice processing, full-band stereo
+const MUSIC_AUDIO_CONSTRAINTS = {
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+  sampleRate: 48000,
+  channelCount: 2,
+};
+
+// Microphone constraint for a device ID, with voice processing turned off
+// in music mode
+export const audioConstraint = (deviceId, musicMode = false) => {
+  if (!musicMode) return deviceConstraint(deviceId);
+  return deviceId
+    ? { deviceId: { exact: deviceId }, ...MUSIC_AUDIO_CONSTRAINTS }
+    : MUSIC_AUDIO_CONSTRAINTS;
+};
+
+/**
+ * Asks for the camera and microphone together, then for each one alone, so
+ * a missing or blocked device does not cost us the other. Resolves to null
+ * when neither is available.
+ */
+export const getUserMediaWithFallback = async (video, audio) => {
+  const attempts = [{ video, audio }, { audio }, { video }];
+  for (const constraints of attempts) {
+    try {
+      return await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (err) {
+      console.warn('Error accessing media devices:', constraints, err);
+    }
+  }
+  return null;
+};
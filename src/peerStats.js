@@ -0,0 +1,109 @@
+// Reports of these types are kept when diagnostics are exported
+const EXPORTED_REPORT_TYPES = [
+  'inbound-rtp',
+  'outbound-rtp',
+  'remote-inbound-rtp',
+  'candidate-pair',
+  'local-candidate',
+  'remote-candidate',
+  'codec',
+  'transport',
+];
+
+// The candidate pair ICE is actually using
+const findSelectedPair = (stats) => {
+  const transport = stats.find((s) => s.type === 'transport');
+  if (transport?.selectedCandidatePairId) {
+    return stats.find((s) => s.id === transport.selectedCandidatePairId);
+  }
+  // Firefox flags the pair itself instead of pointing to it
+  return stats.find(
+    (s) =>
+      s.type === 'candidate-pair' &&
+      (s.selected || (s.nominated && s.state === 'succeeded'))
+  );
+};
+
+const sumBy = (reports, key) =>
+  reports.reduce((sum, report) => sum + (report[key] || 0), 0);
+
+/**
+ * Turns an `RTCPeerConnection.getStats()` report into the numbers shown in
+ * the stats overlay. Rates are computed against `previous`, the sample from
+ * the last poll, so the first sample has no bitrate or loss yet.
+ */
+export const summarizeStats = (report, previous = null) => {
+  const stats = Array.from(report.values());
+  const byId = (id) => stats.find((s) => s.id === id);
+
+  const inbound = stats.filter((s) => s.type === 'inbound-rtp');
+  const outbound = stats.filter((s) => s.type === 'outbound-rtp');
+  const inboundVideo = inbound.find((s) => s.kind === 'video');
+  const inboundAudio = inbound.find((s) => s.kind === 'audio');
+
+  const timestamp = Date.now();
+  const totals = {
+    bytesReceived: sumBy(inbound, 'bytesReceived'),
+    bytesSent: sumBy(outbound, 'bytesSent'),
+    packetsReceived: sumBy(inbound, 'packetsReceived'),
+    packetsLost: sumBy(inbound, 'packetsLost'),
+  };
+
+  let inboundKbps = null;
+  let outboundKbps = null;
+  let packetLoss = null;
+  if (previous) {
+    const seconds = (timestamp - previous.timestamp) / 1000;
+    if (seconds > 0) {
+      inboundKbps = Math.max(
+        0,
+        ((totals.bytesReceived - previous.totals.bytesReceived) * 8) /
+          1000 /
+          seconds
+      );
+      outboundKbps = Math.max(
+        0,
+        ((totals.bytesSent - previous.totals.bytesSent) * 8) / 1000 / seconds
+      );
+    }
+    const received = totals.packetsReceived - previous.totals.packetsReceived;
+    const lost = totals.packetsLost - previous.totals.packetsLost;
+    if (received + lost > 0) {
+      packetLoss = (Math.max(0, lost) / (received + lost)) * 100;
+    }
+  }
+
+  const pair = findSelectedPair(stats);
+  const localCandidate = pair && byId(pair.localCandidateId);
+  const remoteCandidate = pair && byId(pair.remoteCandidateId);
+  const jitterSource = inboundAudio || inboundVideo;
+
+  return {
+    timestamp,
+    totals,
+    inboundKbps,
+    outboundKbps,
+    packetLoss,
+    jitterMs:
+      jitterSource?.jitter !== undefined ? jitterSource.jitter * 1000 : null,
+    rttMs:
+      pair?.currentRoundTripTime !== undefined
+        ? pair.currentRoundTripTime * 1000
+        : null,
+    resolution:
+      inboundVideo?.frameWidth && inboundVideo?.frameHeight
+        ? `${inboundVideo.frameWidth}×${inboundVideo.frameHeight}`
+        : null,
+    framesPerSecond: inboundVideo?.framesPerSecond ?? null,
+    videoCodec: byId(inboundVideo?.codecId)?.mimeType || null,
+    audioCodec: byId(inboundAudio?.codecId)?.mimeType || null,
+    localCandidateType: localCandidate?.candidateType || null,
+    remoteCandidateType: remoteCandidate?.candidateType || null,
+  };
+};
+
+// Raw reports worth attaching to a bug report, as plain objects
+export const exportStats = (report) =>
+  Array.from(report.values())
+    .filter((s) => EXPORTED_REPORT_TYPES.includes(s.type))
+    .map((s) => ({ ...s }));
@@ -0,0 +1,81 @@
+import { jwtDecode } from 'jwt-decode';
+
+// OAuth client ID for "Sign in with Google"; sign-in is hidden without it
+export const GOOGLE_CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID || '';
+
+// localStorage key for the name (and avatar) used in calls
+const PROFILE_STORAGE_KEY = 'profile';
+// Longest display name we send or show
+export const MAX_NAME_LENGTH = 40;
+// Host of Google account avatars, the only pictures a profile can have
+const AVATAR_HOST_SUFFIX = '.googleusercontent.com';
+
+// Whether `url` is a Google avatar. Any other URL would let whoever set it
+// see the IP address of everyone whose page loads the picture.
+const isAvatarUrl = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && hostname.endsWith(AVATAR_HOST_SUFFIX);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Keeps only what a profile may contain: a trimmed, non-empty name and a
+ * Google avatar URL. Used for our own saved profile and for the profiles
+ * peers send us, so neither can inject anything else into the page.
+ */
+export const sanitizeProfile = (profile) => {
+  const name =
+    typeof profile?.name === 'string'
+      ? profile.name.trim().slice(0, MAX_NAME_LENGTH)
+      : '';
+  if (!name) return null;
+
+  const picture =
+    typeof profile.picture === 'string' && isAvatarUrl(profile.picture)
+      ? profile.picture
+      : '';
+  return {
+    name,
+    picture,
+    provider: profile.provider === 'google' ? 'google' : 'guest',
+  };
+};
+
+export const loadProfile = () => {
+  try {
+    return sanitizeProfile(
+      JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY))
+    );
+  } catch {
+    return null;
+  }
+};
+
+export const saveProfile = (profile) => {
+  if (profile) {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } else {
+    localStorage.removeItem(PROFILE_STORAGE_KEY);
+  }
+};
+
+// Profile from the ID token Google hands back after signing in
+export const profileFromGoogleCredential = (credential) => {
+  const { name, given_name: givenName, picture } = jwtDecode(credential);
+  return sanitizeProfile({
+    name: name || givenName,
+    picture,
+    provider: 'google',
+  });
+};
+
+// What peers are told about us
+export const getPublicProfile = (profile) =>
+  profile ? { name: profile.name, picture: profile.picture } : null;
+
+// First letter of a name, for avatar placeholders
+export const getInitial = (name, fallback = 'U') =>
+  name?.trim().charAt(0).toUpperCase() || fallback;
@@ -1,8 +1,151 @@
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import tailwindcss from '@tailwindcss/vite';
 
+// Selfie segmentation model used by the background effects, pinned to
+// version 1. It is not published on npm, so it is downloaded once and
+// shipped with the app.
+const SEGMENTER_MODEL_URL =
+  'https://storage.googleapis.com/mediapipe-models/image_segmenter/selfie_segmenter/float16/1/selfie_segmenter.tflite';
+const SEGMENTER_MODEL_FILE = 'mediapipe/selfie_segmenter.tflite';
+const SEGMENTER_MODEL_CACHE = fileURLToPath(
+  new URL(
+    'node_modules/.cache/mediapipe/selfie_segmenter.tflite',
+    import.meta.url
+  )
+);
+// { url, sha256 } of the model, written by the first download and committed
+// so every later build checks it gets the same file
+const SEGMENTER_MODEL_LOCK = fileURLToPath(
+  new URL('segmenter-model.lock.json', import.meta.url)
+);
+// A copy placed here (e.g. for offline builds) is served as-is by Vite
+const SEGMENTER_MODEL_PUBLIC = fileURLToPath(
+  new URL(`public/${SEGMENTER_MODEL_FILE}`, import.meta.url)
+);
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+const readModelLock = async () => {
+  try {
+    return JSON.parse(await readFile(SEGMENTER_MODEL_LOCK, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const downloadSegmenterModel = async () => {
+  const response = await fetch(SEGMENTER_MODEL_URL);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+// The model from the cache or the network, checked against the lock file
+const loadSegmenterModel = async (logger) => {
+  const isCached = existsSync(SEGMENTER_MODEL_CACHE);
+  const model = isCached
+    ? await readFile(SEGMENTER_MODEL_CACHE)
+    : await downloadSegmenterModel();
+  const hash = sha256(model);
+
+  const lock = await readModelLock();
+  if (lock?.url === SEGMENTER_MODEL_URL) {
+    if (lock.sha256 !== hash) {
+      throw new Error(
+        `checksum mismatch: expected ${lock.sha256}, got ${hash}` +
+          (isCached
+            ? ` (delete ${SEGMENTER_MODEL_CACHE} to download again)`
+            : '')
+      );
+    }
+  } else {
+    await writeFile(
+      SEGMENTER_MODEL_LOCK,
+      `${JSON.stringify({ url: SEGMENTER_MODEL_URL, sha256: hash }, null, 2)}\n`
+    );
+    logger.warn(
+      'Recorded the segmentation model checksum in segmenter-model.lock.json; commit it.'
+    );
+  }
+
+  if (!isCached) {
+    await mkdir(dirname(SEGMENTER_MODEL_CACHE), { recursive: true });
+    await writeFile(SEGMENTER_MODEL_CACHE, model);
+  }
+  return model;
+};
+
+/**
+ * Serves the segmentation model in development and adds it to the build.
+ * The build fails without it; in development the background effects report
+ * that they are unavailable instead.
+ */
+const segmenterModel = () => {
+  let logger = console;
+  let modelPromise = null;
+
+  const getModel = () => {
+    if (!modelPromise) {
+      modelPromise = loadSegmenterModel(logger).catch((err) => {
+        // Let a later request try again
+        modelPromise = null;
+        throw err;
+      });
+    }
+    return modelPromise;
+  };
+
+  return {
+    name: 'segmenter-model',
+    configResolved(config) {
+      logger = config.logger;
+    },
+    configureServer(server) {
+      if (existsSync(SEGMENTER_MODEL_PUBLIC)) return;
+      const modelPath = `${server.config.base}${SEGMENTER_MODEL_FILE}`;
+      server.middlewares.use(async (req, res, next) => {
+        if (req.url?.split('?')[0] !== modelPath) return next();
+        try {
+          const model = await getModel();
+          res.setHeader('Content-Type', 'application/octet-stream');
+          res.end(model);
+        } catch (err) {
+          logger.warn(
+            `Could not load the segmentation model (${err.message}); background effects will be unavailable.`
+          );
+          res.statusCode = 404;
+          res.end();
+        }
+      });
+    },
+    async generateBundle() {
+      if (existsSync(SEGMENTER_MODEL_PUBLIC)) return;
+      let model;
+      try {
+        model = await getModel();
+      } catch (err) {
+        this.error(
+          `Could not load the segmentation model from ${SEGMENTER_MODEL_URL} (${err.message}). ` +
+            `Put a copy at public/${SEGMENTER_MODEL_FILE} to build offline.`
+        );
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: SEGMENTER_MODEL_FILE,
+        source: model,
+      });
+    },
+  };
+};
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), segmenterModel()],
 });